@@ -7,6 +7,7 @@ esbuild.build({
   minify: true,
   outfile: 'dist/lite-spec.min.js',  // Output bundled file
   format: 'iife',  // IIFE format for browser (no exports)
+  external: ['fs', 'path'],  // Only used by the Node.js file loader
   // watch: process.argv.includes('--watch'),  // Optional: Watch mode
 }).catch(() => process.exit(1));
 
@@ -16,6 +17,7 @@ esbuild.build({
   minify: false,
   outfile: 'dist/lite-spec.js',  // Output bundled file
   format: 'iife',  // IIFE format for browser (no exports)
+  external: ['fs', 'path'],  // Only used by the Node.js file loader
   // watch: process.argv.includes('--watch'),  // Optional: Watch mode
 }).catch(() => process.exit(1));
 
@@ -27,11 +29,18 @@ esbuild.build({
   outfile: 'dist/highlighters/litespec.mode.cm.js'
 }).catch(() => process.exit(1));
 
-// Sublime highlighter bundling and minification
-fs.copyFile('src/highlighters/LiteSpec.sublime-syntax', 'dist/highlighters/LiteSpec.sublime-syntax', (err) => {
-  if (err) {
-    console.error('Error copying file:', err);
-  } else {
-    console.log('File copied successfully!');
-  }
-});
\ No newline at end of file
+// Sublime highlighter: fill in its attribute list from the registry while copying
+const { attributeNames } = require('./src/attributes.js');
+const sublime = fs.readFileSync('src/highlighters/LiteSpec.sublime-syntax', 'utf8');
+fs.mkdirSync('dist/highlighters', { recursive: true });
+fs.writeFile(
+  'dist/highlighters/LiteSpec.sublime-syntax',
+  sublime.replace('{{ATTRIBUTE_NAMES}}', attributeNames().join('|')),
+  (err) => {
+    if (err) {
+      console.error('Error writing file:', err);
+    } else {
+      console.log('File copied successfully!');
+    }
+  },
+);
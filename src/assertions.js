@@ -0,0 +1,192 @@
+/**
+ * Cross-field assertions: `@assert(end_date >= start_date, "message")`.
+ *
+ * An assertion compares two operands, each a property path (`end_date`,
+ * `coverage.limit`, `range[1]`) or a literal (`100`, `"2024-01-01"`), with
+ * one of >=, <=, >, <, == or !=. The emitter stores the parsed assertions
+ * under the `x-assert` keyword of the block's schema, and
+ * validateDataUsingSchema registers checkAssertions with Ajv to enforce them.
+ *
+ * Numbers compare numerically, dates and date-times (RFC 3339 strings)
+ * chronologically, and other strings by code unit. An assertion is skipped
+ * when an operand is missing or the two are not of the same kind: presence
+ * and type are the job of @required and the field types.
+ */
+
+const { NUMBER_LITERAL, splitArguments } = require("./attributes.js");
+const { FORMAT_CHECKERS } = require("./formats.js");
+
+/** Comparison operators, longest first so that ">=" is not read as ">" */
+const OPERATORS = [">=", "<=", "==", "!=", ">", "<"];
+
+/** A path of property names and fixed `[N]` positions */
+const PATH = /^[A-Za-z_]\w*(\[\d+\])*(\.[A-Za-z_]\w*(\[\d+\])*)*$/;
+
+/**
+ * Reads one side of an assertion
+ * @param {string} text - The operand as written
+ * @param {string} expression - The whole comparison, for error messages
+ * @returns {object} { path } or { value }
+ * @throws {Error} When the operand is neither a path nor a literal
+ */
+function parseOperand(text, expression) {
+  if (NUMBER_LITERAL.test(text)) return { value: Number(text) };
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) return { value: JSON.parse(text) };
+  if (PATH.test(text)) return { path: text };
+  throw new Error(
+    `@assert(${expression}) — "${text}" is not a field path, number or quoted string`,
+  );
+}
+
+/**
+ * Parses the arguments of an @assert directive
+ * @param {string} args - The text inside `@assert(...)`
+ * @returns {object} { left, operator, right, message } as stored under x-assert
+ * @throws {Error} When the comparison or message is malformed
+ */
+function parseAssertion(args) {
+  const [expression = "", message, ...extra] = splitArguments(args);
+  if (!expression || extra.length > 0) {
+    throw new Error(
+      'Invalid @assert — expected @assert(left <operator> right, "message")',
+    );
+  }
+
+  // The first operator outside a string literal splits the comparison
+  let quote = false;
+  let at = -1;
+  let operator;
+  for (let i = 0; i < expression.length && at === -1; i++) {
+    const ch = expression[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === '"') quote = false;
+    } else if (ch === '"') {
+      quote = true;
+    } else {
+      operator = OPERATORS.find((op) => expression.startsWith(op, i));
+      if (operator) at = i;
+    }
+  }
+  if (at === -1) {
+    throw new Error(
+      `@assert(${expression}) needs a comparison with one of ${OPERATORS.join(", ")}`,
+    );
+  }
+
+  const left = parseOperand(expression.substring(0, at).trim(), expression);
+  const right = parseOperand(expression.substring(at + operator.length).trim(), expression);
+  if (!left.path && !right.path) {
+    throw new Error(`@assert(${expression}) must refer to at least one field`);
+  }
+  if (message !== undefined && !/^"(?:[^"\\]|\\.)*"$/.test(message)) {
+    throw new Error(`@assert message ${message} must be a quoted string`);
+  }
+
+  return {
+    left,
+    operator,
+    right,
+    message: message !== undefined ? JSON.parse(message) : `must satisfy ${expression}`,
+  };
+}
+
+/**
+ * Lists the field paths an assertion refers to, left operand first
+ * @param {object} assertion - A parsed assertion
+ * @returns {Array} The paths
+ */
+function assertionPaths(assertion) {
+  return [assertion.left, assertion.right].filter((operand) => operand.path).map((o) => o.path);
+}
+
+/**
+ * Splits a path into the keys it walks through, e.g. "range[1].to" into ["range", 1, "to"]
+ * @param {string} path - The path
+ * @returns {Array} Property names and array positions
+ */
+function pathKeys(path) {
+  return path
+    .split(".")
+    .flatMap((segment) => {
+      const [name, ...positions] = segment.split("[");
+      return [name, ...positions.map((position) => Number(position.slice(0, -1)))];
+    });
+}
+
+/**
+ * Reads the value an operand stands for
+ * @param {object} operand - { path } or { value }
+ * @param {object} data - The object the assertion belongs to
+ * @returns {*} The value, or undefined when the path leads nowhere
+ */
+function operandValue(operand, data) {
+  if (!operand.path) return operand.value;
+  return pathKeys(operand.path).reduce(
+    (value, key) => (value !== null && typeof value === "object" ? value[key] : undefined),
+    data,
+  );
+}
+
+/**
+ * Turns two values into comparable ones of the same kind
+ * @param {*} left - The left operand's value
+ * @param {*} right - The right operand's value
+ * @returns {Array|null} [left, right], or null when they cannot be compared
+ */
+function comparable(left, right) {
+  if (typeof left !== typeof right || !["number", "string", "boolean"].includes(typeof left)) {
+    return null;
+  }
+  const isDate = (value) =>
+    typeof value === "string" && (FORMAT_CHECKERS.date(value) || FORMAT_CHECKERS["date-time"](value));
+  if (isDate(left) && isDate(right)) return [Date.parse(left), Date.parse(right)];
+  return [left, right];
+}
+
+const COMPARE = {
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+/**
+ * Ajv validate function for the x-assert keyword
+ *
+ * A failed assertion is reported at the first field it refers to.
+ *
+ * @param {Array} assertions - The keyword's value: parsed assertions
+ * @param {object} data - The object being validated
+ * @param {object} parentSchema - The schema holding the keyword
+ * @param {object} [dataCxt] - Ajv's data context, giving the object's instancePath
+ * @returns {boolean} True when every assertion holds
+ */
+function checkAssertions(assertions, data, parentSchema, dataCxt) {
+  const base = dataCxt ? dataCxt.instancePath : "";
+  const errors = [];
+  assertions.forEach((assertion) => {
+    const values = comparable(
+      operandValue(assertion.left, data),
+      operandValue(assertion.right, data),
+    );
+    if (!values || COMPARE[assertion.operator](...values)) return;
+    const [path] = assertionPaths(assertion);
+    errors.push({
+      keyword: "x-assert",
+      instancePath: `${base}/${pathKeys(path).join("/")}`,
+      message: assertion.message,
+      params: {
+        left: assertion.left,
+        operator: assertion.operator,
+        right: assertion.right,
+      },
+    });
+  });
+  checkAssertions.errors = errors;
+  return errors.length === 0;
+}
+
+module.exports = { parseAssertion, assertionPaths, checkAssertions };
@@ -0,0 +1,333 @@
+/**
+ * The attribute registry: every `@name` LiteSpec understands, with its
+ * arguments, the field types it applies to and where it may be written.
+ *
+ * Each entry has:
+ * - placement: "field" (after a field type, a type alias or a tuple position),
+ *   "model" and/or "def" (on its own line inside a block; inline
+ *   `object { ... }` blocks count as "def")
+ * - args: argument kinds in order. A trailing "?" marks an optional argument
+ *   and "..." a list of one or more. "expression" and "regex" take the whole
+ *   argument text unsplit. An empty list means the attribute takes none.
+ * - types: the field type categories it applies to (string, number, array,
+ *   map, object, boolean), or null for any type
+ * - action: true when it can also be an @if/@else action, written with the
+ *   path it constrains before its arguments: `@maximum(limits.pd, 100)`
+ *
+ * validateAttributes checks a linked Program against the registry before it
+ * is emitted, and the highlighters build their attribute lists from it.
+ */
+
+const { createDiagnostic, closestMatch, ignoreCaseDistance } = require("./diagnostics.js");
+const { FORMAT_SHORTHANDS } = require("./formats.js");
+
+const FIELD = ["field"];
+const BLOCK = ["model", "def"];
+
+/** Numeric literal: optional sign, integer or decimal digits, optional exponent */
+const NUMBER_LITERAL = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/** Argument kind → check for one argument's text */
+const ARGUMENT_KINDS = {
+  integer: (text) => /^\d+$/.test(text),
+  number: (text) => NUMBER_LITERAL.test(text),
+  name: (text) => /^[A-Za-z_]\w*$/.test(text),
+  value: (text) => text.length > 0,
+  text: (text) => text.length > 0,
+};
+
+const ATTRIBUTES = {
+  required: { placement: FIELD, args: [], types: null, action: true },
+  ref: { placement: FIELD, args: ["name"], types: null },
+  enum: { placement: FIELD, args: ["value..."], types: null, action: true },
+  const: { placement: FIELD, args: ["value"], types: null, action: true },
+  default: { placement: FIELD, args: ["value"], types: null },
+  can: { placement: [...FIELD, ...BLOCK], args: ["expression"], types: null },
+  discriminator: { placement: FIELD, args: ["expression"], types: null },
+  exclusive: { placement: FIELD, args: [], types: null },
+  inclusive: { placement: FIELD, args: [], types: null },
+
+  minLength: { placement: FIELD, args: ["integer"], types: ["string"], action: true },
+  maxLength: { placement: FIELD, args: ["integer"], types: ["string"], action: true },
+  pattern: { placement: FIELD, args: ["regex"], types: ["string"], action: true },
+  format: { placement: FIELD, args: ["text"], types: ["string"], action: true },
+  trim: { placement: FIELD, args: [], types: ["string"] },
+  startTrim: { placement: FIELD, args: [], types: ["string"] },
+  endTrim: { placement: FIELD, args: [], types: ["string"] },
+  allowEmpty: { placement: FIELD, args: [], types: ["string"] },
+
+  minimum: { placement: FIELD, args: ["number"], types: ["number"], action: true },
+  maximum: { placement: FIELD, args: ["number"], types: ["number"], action: true },
+  exclusiveMinimum: { placement: FIELD, args: ["number"], types: ["number"], action: true },
+  exclusiveMaximum: { placement: FIELD, args: ["number"], types: ["number"], action: true },
+  multipleOf: { placement: FIELD, args: ["number"], types: ["number"], action: true },
+  precision: { placement: FIELD, args: ["integer", "integer?"], types: ["number"] },
+
+  minItems: { placement: FIELD, args: ["integer"], types: ["array"], action: true },
+  maxItems: { placement: FIELD, args: ["integer"], types: ["array"], action: true },
+  uniqueItems: { placement: FIELD, args: [], types: ["array"], action: true },
+
+  keyPattern: { placement: FIELD, args: ["regex"], types: ["map"] },
+
+  // Annotations: on a field, or on their own line for the def/model itself
+  title: { placement: [...FIELD, ...BLOCK], args: ["value"], types: null },
+  description: { placement: [...FIELD, ...BLOCK], args: ["value"], types: null },
+  examples: { placement: [...FIELD, ...BLOCK], args: ["value..."], types: null },
+  deprecated: { placement: [...FIELD, ...BLOCK], args: [], types: null },
+
+  if: { placement: BLOCK, args: ["expression"], types: null },
+  // Only valid directly after an @if, which the parser attaches it to
+  else: { placement: BLOCK, args: ["expression"], types: null },
+  filter: { placement: BLOCK, args: ["expression"], types: null },
+  actions: { placement: BLOCK, args: ["expression"], types: null },
+  sort: { placement: BLOCK, args: ["expression"], types: null },
+  breadcrumb: { placement: BLOCK, args: ["expression"], types: null },
+  bump_on_change: { placement: BLOCK, args: ["expression"], types: null },
+  assert: { placement: BLOCK, args: ["expression"], types: null },
+  closed: { placement: BLOCK, args: [], types: null },
+  open: { placement: BLOCK, args: [], types: null },
+};
+
+// @email, @uuid, ... set `format` (see formats.js)
+Object.keys(FORMAT_SHORTHANDS).forEach((name) => {
+  ATTRIBUTES[name] = { placement: FIELD, args: [], types: ["string"], action: true };
+});
+
+/** Built-in type name → the category attribute `types` refer to */
+const TYPE_CATEGORIES = {
+  string: "string",
+  objectid: "string",
+  date: "string",
+  number: "number",
+  integer: "number",
+  decimal: "number",
+  boolean: "boolean",
+  array: "array",
+  tuple: "array",
+  map: "map",
+  object: "object",
+};
+
+/**
+ * Returns the category of a type, following aliases
+ * @param {object} typeNode - The Type, Union or @ref Attribute node
+ * @param {object} scope - { enums, aliases } maps keyed by lowercase name
+ * @param {Array} [seen] - Aliases already followed, to stop at cycles
+ * @returns {string|null} The category, or null when it cannot be known here
+ *   (unions, @ref types, unknown names)
+ */
+function typeCategory(typeNode, scope, seen = []) {
+  if (typeNode.type !== "Type") return null;
+  const name = typeNode.name.toLowerCase();
+  if (TYPE_CATEGORIES[typeNode.name]) return TYPE_CATEGORIES[typeNode.name];
+  if (scope.enums.has(name)) return "string";
+  const alias = scope.aliases.get(name);
+  if (!alias || seen.includes(alias)) return null;
+  return typeCategory(alias.aliasedType, scope, [...seen, alias]);
+}
+
+/**
+ * Returns every registered attribute name, for the highlighters
+ * @returns {Array} Attribute names without the leading "@"
+ */
+function attributeNames() {
+  return Object.keys(ATTRIBUTES);
+}
+
+/**
+ * Splits an argument list on top-level commas, leaving quoted strings and
+ * nested brackets intact
+ * @param {string} text - The raw text inside the parentheses
+ * @returns {Array} The trimmed arguments (empty for an empty list)
+ */
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ("([{".includes(ch)) {
+      depth++;
+    } else if (")]}".includes(ch)) {
+      depth--;
+    } else if (ch === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim() || parts.length > 0) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Finds the registered attribute an unknown name was most likely meant to be
+ * @param {string} name - The unknown attribute name, without "@"
+ * @returns {string|null} The suggested name, or null when nothing is close
+ */
+function suggestAttribute(name) {
+  // `@trimStart` for `@startTrim`: the same words in another order
+  const words = (s) => s.split(/(?=[A-Z])|_/).map((w) => w.toLowerCase()).sort().join();
+  return closestMatch(name, attributeNames(), (a, b) =>
+    words(a) === words(b) ? 0 : ignoreCaseDistance(a, b),
+  );
+}
+
+/**
+ * Checks an attribute's arguments against its registry entry
+ * @param {object} attr - The Attribute or Directive node
+ * @param {object} spec - The registry entry
+ * @returns {string|null} What is wrong with the arguments, or null
+ */
+function checkArguments(attr, spec) {
+  const text = (attr.args || "").trim();
+  const [first] = spec.args;
+  if (first === "expression" || first === "regex") {
+    if (!text) return `@${attr.name} needs an argument`;
+    if (first === "regex") {
+      try {
+        new RegExp(text);
+      } catch (error) {
+        return `@${attr.name} has an invalid regular expression: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  const args = splitArguments(text);
+  const required = spec.args.filter((kind) => !kind.endsWith("?")).length;
+  const variadic = spec.args.some((kind) => kind.endsWith("..."));
+  if (spec.args.length === 0 && args.length > 0) {
+    return `@${attr.name} takes no arguments`;
+  }
+  if (args.length < required || (!variadic && args.length > spec.args.length)) {
+    const expected =
+      required === spec.args.length ? `${required}` : `${required} to ${spec.args.length}`;
+    return `@${attr.name} expects ${variadic ? "at least " : ""}${expected} argument${
+      spec.args.length === 1 ? "" : "s"
+    } but got ${args.length}`;
+  }
+  for (let i = 0; i < args.length; i++) {
+    const kind = spec.args[Math.min(i, spec.args.length - 1)].replace(/[?.]+$/, "");
+    if (!ARGUMENT_KINDS[kind](args[i])) {
+      return `@${attr.name} argument "${args[i]}" is not a valid ${kind}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates every attribute and directive of a Program against the registry
+ *
+ * Attributes that fail are reported and flagged `invalid`, so the emitter
+ * skips them instead of emitting a keyword the author did not mean.
+ *
+ * @param {object} program - The linked Program node
+ * @param {Array} diagnostics - Array collecting diagnostics
+ */
+function validateAttributes(program, diagnostics) {
+  const scope = { enums: new Map(), aliases: new Map() };
+  program.body.forEach((node) => {
+    if (node.type === "TypeAlias") scope.aliases.set(node.name.toLowerCase(), node);
+    if (node.type === "Enum") scope.enums.set(node.name.toLowerCase(), node);
+  });
+
+  const visit = (node, report) => {
+    const check = (attr, placement, typeNode) => {
+      if (attr.invalid) return;
+      const fail = (code, message) => {
+        report(code, message, attr.loc);
+        attr.invalid = true;
+      };
+      const spec = Object.prototype.hasOwnProperty.call(ATTRIBUTES, attr.name)
+        ? ATTRIBUTES[attr.name]
+        : null;
+      if (!spec) {
+        const suggestion = suggestAttribute(attr.name);
+        fail(
+          "unknown-attribute",
+          `Unknown attribute "@${attr.name}"${
+            suggestion ? ` — did you mean "@${suggestion}"?` : ""
+          }`,
+        );
+        return;
+      }
+      if (!spec.placement.includes(placement)) {
+        const where = placement === "field" ? "on a field" : `inside a ${placement}`;
+        fail(
+          "misplaced-attribute",
+          `@${attr.name} cannot be used ${where} — it belongs ${
+            spec.placement.includes("field") ? "after a field type" : "on its own line in a block"
+          }`,
+        );
+        return;
+      }
+      const problem = checkArguments(attr, spec);
+      if (problem) {
+        fail("invalid-attribute-arguments", problem);
+        return;
+      }
+      const category = typeNode && typeCategory(typeNode, scope);
+      if (spec.types && category && !spec.types.includes(category)) {
+        fail(
+          "invalid-attribute-type",
+          `@${attr.name} applies to ${spec.types.join(" or ")} fields, not "${typeNode.name}"`,
+        );
+      }
+    };
+
+    const visitType = (typeNode) => {
+      if (typeNode.type === "Union") {
+        typeNode.variants.forEach(visitType);
+        return;
+      }
+      if (typeNode.type !== "Type") return;
+      (typeNode.attributes || []).forEach((attr) => check(attr, "field", typeNode));
+      typeNode.arguments.forEach(visitType);
+    };
+
+    const visitMembers = (members, placement) => {
+      members.forEach((member) => {
+        if (member.type === "Directive") {
+          check(member, placement);
+          if (member.else) check(member.else, placement);
+          return;
+        }
+        visitType(member.fieldType);
+        member.attributes.forEach((attr) => check(attr, "field", member.fieldType));
+        if (member.members) visitMembers(member.members, "def");
+      });
+    };
+
+    if (node.type === "Model") visitMembers(node.members, "model");
+    if (node.type === "Def") visitMembers(node.members, "def");
+    if (node.type === "TypeAlias") {
+      visitType(node.aliasedType);
+      node.attributes.forEach((attr) => check(attr, "field", node.aliasedType));
+    }
+  };
+
+  program.body.forEach((node) => {
+    visit(node, (code, message, loc) => {
+      const diagnostic = createDiagnostic("error", code, message, loc);
+      diagnostics.push(node.file ? { ...diagnostic, file: node.file } : diagnostic);
+    });
+  });
+}
+
+module.exports = {
+  ATTRIBUTES,
+  NUMBER_LITERAL,
+  TYPE_CATEGORIES,
+  attributeNames,
+  checkArguments,
+  typeCategory,
+  splitArguments,
+  suggestAttribute,
+  validateAttributes,
+};
@@ -0,0 +1,250 @@
+/**
+ * Conditions of @if rules.
+ *
+ * `@if(<condition>, <actions>) @else(<actions>)` where a condition is one or
+ * more `path: @constraint ...` tests combined with AND, OR, NOT and
+ * parentheses. NOT binds tightest, then AND, then OR:
+ *
+ *   @if(state: @const("NC") AND coverage: @const("auto"), @required(um_limit))
+ *   @if(NOT (age: @minimum(16) OR has_permit: @const(true)), @required(guardian))
+ *
+ * A test can be quantified over the array marked by the last `[]` in its path:
+ *
+ *   @if(any members[].age: @maximum(15), @required(guardian_name))
+ *   @if(all vehicles[].leased: @const(true), @required(lienholder))
+ *   @if(count(members[].is_driver: @const(true)) >= 2, @required(multi_driver_discount))
+ *
+ * The condition is parsed into a tree of
+ *   { type: "atom", path, constraints }   (constraints is the raw attribute text)
+ *   { type: "atom", path, constraints, quantifier: "any" | "all" }
+ *   { type: "atom", path, constraints, quantifier: "count", operator, count }
+ *   { type: "and" | "or", operands: [...] }
+ *   { type: "not", operand }
+ * which the emitter compiles to `allOf` / `anyOf` / `not` inside `if`.
+ */
+
+/** Operators, which must stand alone as words */
+const OPERATORS = ["AND", "OR", "NOT"];
+
+/**
+ * Finds the first comma outside parentheses, brackets and string literals
+ * @param {string} text - The text to scan
+ * @returns {number} The offset of the comma, or -1
+ */
+function topLevelComma(text) {
+  let depth = 0;
+  let quote = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === '"') quote = false;
+    } else if (ch === '"') {
+      quote = true;
+    } else if ("([{".includes(ch)) {
+      depth++;
+    } else if (")]}".includes(ch)) {
+      depth--;
+    } else if (ch === "," && depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits the arguments of an @if into its condition and its actions
+ * @param {string} args - The text inside `@if(...)`
+ * @returns {object} { condition, action } as raw text
+ * @throws {Error} When there is no comma between the two
+ */
+function splitIfArguments(args) {
+  const comma = topLevelComma(args);
+  if (comma === -1) {
+    throw new Error("Invalid IF expression format - missing comma separator!");
+  }
+  return {
+    condition: args.substring(0, comma).trim(),
+    action: args.substring(comma + 1).trim(),
+  };
+}
+
+/**
+ * Splits a condition into "(", ")", operator and test tokens
+ * @param {string} text - The condition text
+ * @returns {Array} The tokens; tests are { test: "path: @constraint ..." }
+ */
+function tokenizeCondition(text) {
+  const tokens = [];
+  let i = 0;
+  const operatorAt = (pos) =>
+    OPERATORS.find(
+      (op) =>
+        text.startsWith(op, pos) &&
+        (pos === 0 || /[\s(]/.test(text[pos - 1])) &&
+        (pos + op.length === text.length || /[\s(]/.test(text[pos + op.length])),
+    );
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")") {
+      tokens.push(ch);
+      i++;
+    } else if (operatorAt(i)) {
+      const op = operatorAt(i);
+      tokens.push(op);
+      i += op.length;
+    } else {
+      // A test runs until an operator or a ")" that it did not open
+      const start = i;
+      let depth = 0;
+      let quote = false;
+      for (; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+          if (c === "\\") i++;
+          else if (c === '"') quote = false;
+        } else if (c === '"') {
+          quote = true;
+        } else if (c === "(") {
+          depth++;
+        } else if (c === ")") {
+          if (depth === 0) break;
+          depth--;
+        } else if (depth === 0 && /\s/.test(c) && operatorAt(i + 1)) {
+          break;
+        }
+      }
+      tokens.push({ test: text.substring(start, i).trim() });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses one test of a condition: `path: @constraint ...`, optionally
+ * quantified with `any`, `all` or `count(...) <comparison> n`
+ * @param {string} test - The test text
+ * @returns {object} The atom node
+ * @throws {Error} When the test is malformed
+ */
+function parseTest(test) {
+  if (/^count\s*\(/.test(test)) {
+    const count = test.match(/^count\s*\(([\s\S]*)\)\s*(>=|<=|==|>|<)\s*(\d+)$/);
+    if (!count) {
+      throw new Error(
+        `Invalid IF condition "${test}" — count(...) needs a comparison such as >= 2`,
+      );
+    }
+    const atom = parseTest(count[1].trim());
+    if (atom.quantifier) {
+      throw new Error(`Invalid IF condition "${test}" — quantifiers cannot be nested`);
+    }
+    return { ...atom, quantifier: "count", operator: count[2], count: Number(count[3]) };
+  }
+
+  const quantified = test.match(/^(any|all)\s+([^\s:][\s\S]*)$/);
+  const body = quantified ? quantified[2] : test;
+  const colon = body.indexOf(":");
+  if (colon === -1) {
+    throw new Error(`Invalid IF condition "${test}" — expected field: @constraint`);
+  }
+  const atom = {
+    type: "atom",
+    path: body.substring(0, colon).trim(),
+    constraints: body.substring(colon + 1).trim(),
+  };
+  return quantified ? { ...atom, quantifier: quantified[1] } : atom;
+}
+
+/**
+ * Parses the condition of an @if
+ * @param {string} text - The condition text, e.g. 'a: @const(1) AND NOT b: @const(2)'
+ * @returns {object} The condition tree
+ * @throws {Error} When the condition is malformed
+ */
+function parseCondition(text) {
+  const tokens = tokenizeCondition(text);
+  let pos = 0;
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (tokens[pos] === "OR") {
+      pos++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  };
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (tokens[pos] === "AND") {
+      pos++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  };
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (token === "NOT") return { type: "not", operand: parseUnary() };
+    if (token === "(") {
+      const inner = parseOr();
+      if (tokens[pos++] !== ")") {
+        throw new Error(`Invalid IF condition "${text}" — missing ")"`);
+      }
+      return inner;
+    }
+    if (!token || typeof token === "string") {
+      throw new Error(
+        `Invalid IF condition "${text}" — expected a test such as field: @const(value)`,
+      );
+    }
+    return parseTest(token.test);
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Invalid IF condition "${text}" — unexpected "${
+      typeof tokens[pos] === "string" ? tokens[pos] : tokens[pos].test
+    }"`);
+  }
+  return tree;
+}
+
+/**
+ * Splits a property path into its segments
+ *
+ * A segment is a property name followed by any number of `[]` (every item of
+ * an array) or `[N]` (the item at position N) suffixes:
+ * `members[].drivers[].violations[].date`, `location[0]`, `grid[][1]`.
+ *
+ * @param {string} path - The path as written
+ * @returns {Array} [{ name, steps }] where each step is "[]" or a position number
+ * @throws {Error} When a segment is malformed
+ */
+function parsePath(path) {
+  return path.split(".").map((segment) => {
+    const match = segment.trim().match(/^([^[\]\s]+)((?:\[\d*\])*)$/);
+    if (!match) {
+      throw new Error(`Invalid path "${path}"`);
+    }
+    const steps = [...match[2].matchAll(/\[(\d*)\]/g)].map(([, index]) =>
+      index === "" ? "[]" : Number(index),
+    );
+    return { name: match[1], steps };
+  });
+}
+
+/**
+ * Lists the tests of a condition tree, left to right
+ * @param {object} node - The condition tree
+ * @returns {Array} The atom nodes
+ */
+function conditionAtoms(node) {
+  if (node.type === "atom") return [node];
+  if (node.type === "not") return conditionAtoms(node.operand);
+  return node.operands.flatMap(conditionAtoms);
+}
+
+module.exports = { splitIfArguments, parseCondition, conditionAtoms, parsePath };
@@ -0,0 +1,127 @@
+/**
+ * Compile diagnostics shared by the lexer, parser and emitter.
+ *
+ * A diagnostic is a plain object:
+ *   { severity, code, message, line, column, endLine, endColumn }
+ * with 1-based line and column numbers. Severity is "error" or "warning".
+ * Diagnostics that belong to an imported file also carry that file's id as
+ * `file`.
+ */
+
+/**
+ * Error thrown inside the lexer/parser to unwind to the nearest recovery point
+ */
+class LiteSpecSyntaxError extends Error {
+  /**
+   * @param {string} code - The diagnostic code
+   * @param {string} message - The error message
+   * @param {object} loc - The { start, end } location of the problem
+   */
+  constructor(code, message, loc) {
+    super(message);
+    this.name = "LiteSpecSyntaxError";
+    this.code = code;
+    this.loc = loc;
+  }
+}
+
+/**
+ * Creates a diagnostic object
+ * @param {string} severity - "error" or "warning"
+ * @param {string} code - A stable, kebab-case identifier for the problem
+ * @param {string} message - The human readable message
+ * @param {object} loc - The { start, end } location of the problem
+ * @returns {object} The diagnostic
+ */
+function createDiagnostic(severity, code, message, loc) {
+  return {
+    severity,
+    code,
+    message,
+    line: loc.start.line,
+    column: loc.start.column,
+    endLine: loc.end.line,
+    endColumn: loc.end.column,
+  };
+}
+
+/**
+ * Formats a diagnostic as a single line of text
+ * @param {object} diagnostic - The diagnostic to format
+ * @returns {string} The formatted text, e.g. "3:5 error Expected ..."
+ */
+function formatDiagnostic(diagnostic) {
+  const { file, line, column, severity, message, code } = diagnostic;
+  const where = file ? `${file}:${line}:${column}` : `${line}:${column}`;
+  return `${where} ${severity} ${message} (${code})`;
+}
+
+/**
+ * Computes the edit distance between two strings
+ *
+ * Swapping two neighbouring characters counts as one edit, so "cosnt" is as
+ * close to "const" as "cnst" is.
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The Levenshtein distance, with transpositions
+ */
+function editDistance(a, b) {
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Computes the edit distance between two strings, ignoring case
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The edit distance of the lowercased strings
+ */
+function ignoreCaseDistance(a, b) {
+  return editDistance(a.toLowerCase(), b.toLowerCase());
+}
+
+/**
+ * Finds the candidate a misspelled name was most likely meant to be, for
+ * "did you mean" hints
+ * @param {string} name - The unknown name
+ * @param {Array} candidates - The names that do exist
+ * @param {Function} [distance] - Custom distance; defaults to the edit distance
+ * @returns {string|null} The closest candidate, or null when nothing is close
+ */
+function closestMatch(name, candidates, distance = ignoreCaseDistance) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((candidate) => {
+    const d = distance(name, candidate);
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  });
+  return bestDistance <= Math.max(1, Math.floor(name.length / 3)) ? best : null;
+}
+
+module.exports = {
+  LiteSpecSyntaxError,
+  createDiagnostic,
+  formatDiagnostic,
+  ignoreCaseDistance,
+  closestMatch,
+};
@@ -0,0 +1,75 @@
+/**
+ * String formats: the shorthand attributes that set them (`@email` is
+ * `@format(email)`) and offline checkers used by validateDataUsingSchema.
+ *
+ * Ajv does not validate any format on its own, and under `strict: false` it
+ * silently ignores unknown ones, so every format LiteSpec emits has a checker
+ * here.
+ */
+
+/** Shorthand attribute name → JSON Schema format */
+const FORMAT_SHORTHANDS = {
+  email: "email",
+  uuid: "uuid",
+  uri: "uri",
+  hostname: "hostname",
+  ipv4: "ipv4",
+  date: "date",
+  time: "time",
+};
+
+const DAYS_IN_MONTH = [0, 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Checks an RFC 3339 full-date such as 2024-02-29
+ * @param {string} value - The string to check
+ * @returns {boolean} True when the date exists
+ */
+function isDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  const days = month === 2 && leap ? 29 : DAYS_IN_MONTH[month];
+  return month >= 1 && month <= 12 && day >= 1 && day <= days;
+}
+
+/**
+ * Checks an RFC 3339 time such as 14:30:00, 14:30:00.5Z or 14:30:00+02:00
+ * @param {string} value - The string to check
+ * @returns {boolean} True when the time is valid
+ */
+function isTime(value) {
+  const match =
+    /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(z|[+-](\d{2}):?(\d{2}))?$/i.exec(value);
+  if (!match) return false;
+  const [, hour, minute, second, , , offsetHour = "0", offsetMinute = "0"] = match;
+  return (
+    Number(hour) <= 23 &&
+    Number(minute) <= 59 &&
+    Number(second) <= 60 && // leap second
+    Number(offsetHour) <= 23 &&
+    Number(offsetMinute) <= 59
+  );
+}
+
+/** Format name → checker, registered with Ajv by validateDataUsingSchema */
+const FORMAT_CHECKERS = {
+  date: isDate,
+  time: isTime,
+  "date-time": (value) => {
+    const [date, time, ...rest] = value.split(/[tT ]/);
+    return rest.length === 0 && time !== undefined && isDate(date) && isTime(time);
+  },
+  email:
+    /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i,
+  uuid: /^(?:urn:uuid:)?[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}$/i,
+  uri: /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+  hostname:
+    /^(?=.{1,253}\.?$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i,
+  ipv4: /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+};
+
+module.exports = { FORMAT_SHORTHANDS, FORMAT_CHECKERS };
@@ -1,22 +1,25 @@
+const { attributeNames } = require("../attributes.js");
+
+// Every attribute in the registry, so the highlighter cannot drift from the compiler
+const ATTRIBUTE_PATTERN = new RegExp(`@(${attributeNames().join("|")})\\b`);
+
 // Define the LiteSpec mode using defineSimpleMode
 CodeMirror.defineSimpleMode("litespec", {
   start: [
-    // Match keywords like def and model
-    { regex: /\b(def|model)\b/, token: "keyword" },
+    // Match keywords like def, model and enum
+    { regex: /\b(def|model|enum|import|from|extends)\b/, token: "keyword" },
+    // `type` only as an alias declaration, so fields named "type" are left alone
+    { regex: /\btype\b(?=\s+\w+\s*=)/, token: "keyword" },
 
     // Match types like object, array, string, number, etc.
     {
       regex:
-        /\b(object|array|string|number|integer|boolean|decimal|objectid|asc|desc|AND|OR|IN)\b/,
+        /\b(object|array|string|number|integer|boolean|decimal|objectid|date|map|tuple|asc|desc|AND|OR|NOT|IN)\b/,
       token: "atom",
     },
 
-    // Match annotations starting with @
-    {
-      regex:
-        /(@required|@can|@filter|@actions|@ref|@if|@minimum|@exclusiveMinimum|@maximum|@exclusiveMaximum|@minLength|@maxLength|@minItems|@maxItems|@uniqueItems|@uuid|@email|@format|@pattern|@enum|@const|@default|@breadcrumb|@sort|@trim|@trimStart|@trimEnd)/,
-      token: "attribute",
-    },
+    // Match annotations starting with @ (generated from the attribute registry)
+    { regex: ATTRIBUTE_PATTERN, token: "attribute" },
 
     // Match field names before the colon
     { regex: /\b[a-zA-Z_]\w*\b(?=:)/, token: "variable-2" },
@@ -41,5 +44,12 @@ CodeMirror.defineSimpleMode("litespec", {
 
     // Match comments (starting with //)
     { regex: /\/\/.*/, token: "comment" },
+
+    // Match block comments, which may span lines
+    { regex: /\/\*/, token: "comment", next: "comment" },
+  ],
+  comment: [
+    { regex: /.*?\*\//, token: "comment", next: "start" },
+    { regex: /.*/, token: "comment" },
   ],
 });
@@ -0,0 +1,262 @@
+/**
+ * Cross-file imports: `import { Address, Member } from "./common.ls"`.
+ *
+ * Files are read through a pluggable loader with two methods:
+ *   resolve(specifier, importer) → a module id (e.g. an absolute path)
+ *   read(id)                     → the module's LiteSpec source text
+ *
+ * createFileLoader() reads from the filesystem in Node; createMemoryLoader()
+ * serves sources from an in-memory map, which is what the browser uses.
+ */
+
+const { parse } = require("./parser.js");
+const { createDiagnostic } = require("./diagnostics.js");
+
+/** Top-level declarations a file can export */
+const DECLARATION_TYPES = ["Def", "Enum", "TypeAlias"];
+
+/**
+ * Resolves a relative specifier against the importing file, POSIX style
+ * @param {string} specifier - The path as written in the import, e.g. "./common.ls"
+ * @param {string} [importer] - The id of the importing file
+ * @returns {string} The normalized module id
+ */
+function resolveRelativePath(specifier, importer) {
+  const base =
+    importer && specifier.startsWith(".") ? importer.split("/").slice(0, -1) : [];
+  const parts = [];
+  for (const part of [...base, ...specifier.split("/")]) {
+    if (part === "." || part === "") continue;
+    if (part === ".." && parts.length > 0 && parts[parts.length - 1] !== "..") {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.join("/");
+}
+
+/**
+ * Creates a loader that serves LiteSpec sources from an in-memory map
+ * @param {object} files - Map of file path → source text, e.g. { "common.ls": "def ..." }
+ * @returns {object} The loader
+ */
+function createMemoryLoader(files) {
+  const sources = {};
+  for (const [path, source] of Object.entries(files)) {
+    sources[resolveRelativePath(path)] = source;
+  }
+  return {
+    resolve(specifier, importer) {
+      return resolveRelativePath(specifier, importer);
+    },
+    read(id) {
+      if (!Object.prototype.hasOwnProperty.call(sources, id)) {
+        throw new Error(`No file "${id}" in the loader`);
+      }
+      return sources[id];
+    },
+  };
+}
+
+/**
+ * Creates a loader that reads LiteSpec files from disk (Node.js only)
+ * @param {string} [baseDir] - Directory for resolving imports from a file without a name
+ * @returns {object} The loader
+ */
+function createFileLoader(baseDir) {
+  const fs = require("fs");
+  const path = require("path");
+  return {
+    resolve(specifier, importer) {
+      const from = importer ? path.dirname(importer) : baseDir || process.cwd();
+      return path.resolve(from, specifier);
+    },
+    read(id) {
+      return fs.readFileSync(id, "utf8");
+    },
+  };
+}
+
+/**
+ * Collects the def, enum and alias names a declaration points at through
+ * @ref, `extends` or a field type
+ * @param {object} node - The Def, Enum or TypeAlias node
+ * @returns {Array} The referenced names, as written
+ */
+function collectReferences(node) {
+  const names = new Set((node.extends || []).map((base) => base.name));
+  const visitAttribute = (attr) => {
+    if (attr.name === "ref" && attr.args) names.add(attr.args.trim());
+  };
+  const visitType = (typeNode) => {
+    if (typeNode.type === "Attribute") {
+      visitAttribute(typeNode);
+    } else if (typeNode.type === "Union") {
+      typeNode.variants.forEach(visitType);
+    } else {
+      names.add(typeNode.name);
+      typeNode.arguments.forEach(visitType);
+    }
+  };
+  const visitMembers = (members) => {
+    members.forEach((member) => {
+      if (member.type !== "Field") return;
+      visitType(member.fieldType);
+      member.attributes.forEach(visitAttribute);
+      if (member.members) visitMembers(member.members);
+    });
+  };
+  if (node.type === "TypeAlias") {
+    visitType(node.aliasedType);
+    node.attributes.forEach(visitAttribute);
+  } else {
+    visitMembers(node.members);
+  }
+  return [...names];
+}
+
+/**
+ * Resolves the imports of a program and returns the defs they bring in
+ *
+ * Each imported def is returned together with every def it references
+ * (directly or transitively) from its own file, so all `$ref`s resolve once
+ * they are placed in `$defs`. Returned nodes are tagged with the `file` they
+ * came from. Import cycles, missing files and unknown names are reported as
+ * diagnostics.
+ *
+ * @param {object} ast - The Program node of the main file
+ * @param {object} [options] - { loader, filename }
+ * @param {Array} [diagnostics] - Array collecting diagnostics
+ * @returns {Array} The imported Def, Enum and TypeAlias nodes, in dependency order
+ */
+function resolveImports(ast, options = {}, diagnostics = []) {
+  const { loader, filename } = options;
+  const modules = new Map();
+  const included = new Set();
+  const defs = [];
+
+  // Diagnostics in the main file stay untagged, like parser diagnostics
+  const report = (file, code, message, loc) => {
+    const diagnostic = createDiagnostic("error", code, message, loc);
+    diagnostics.push(file && file !== filename ? { ...diagnostic, file } : diagnostic);
+  };
+
+  const imports = ast.body.filter((node) => node.type === "Import");
+  if (imports.length === 0) return defs;
+  if (!loader) {
+    imports.forEach((node) =>
+      report(
+        undefined,
+        "no-loader",
+        `Cannot import "${node.source}" — no module loader was provided`,
+        node.loc,
+      ),
+    );
+    return defs;
+  }
+
+  const include = (binding) => {
+    if (included.has(binding.node)) return;
+    included.add(binding.node);
+    for (const ref of collectReferences(binding.node)) {
+      const target = binding.module.scope.get(ref.toLowerCase());
+      if (target) include(target);
+    }
+    defs.push({ ...binding.node, file: binding.module.id });
+  };
+
+  const buildScope = (program, module, chain) => {
+    const scope = new Map(module.exports);
+    program.body.forEach((node) => {
+      if (node.type !== "Import") return;
+      const source = loadModule(node, module.id, chain);
+      if (!source) return;
+      node.names.forEach(({ name, loc }) => {
+        const binding = source.exports.get(name.toLowerCase());
+        if (!binding) {
+          report(
+            module.id,
+            "unknown-import",
+            `"${node.source}" has no definition named "${name}"`,
+            loc,
+          );
+        } else if (scope.has(name.toLowerCase())) {
+          report(
+            module.id,
+            "import-conflict",
+            `"${name}" is already defined in this file`,
+            loc,
+          );
+        } else {
+          scope.set(name.toLowerCase(), binding);
+        }
+      });
+    });
+    return scope;
+  };
+
+  const loadModule = (importNode, importer, chain) => {
+    let id;
+    let source;
+    try {
+      id = loader.resolve(importNode.source, importer);
+    } catch (error) {
+      report(importer, "import-not-found", error.message, importNode.loc);
+      return null;
+    }
+    if (chain.includes(id)) {
+      const cycle = [...chain.slice(chain.indexOf(id)), id].join(" → ");
+      report(importer, "import-cycle", `Import cycle: ${cycle}`, importNode.loc);
+      return null;
+    }
+    if (modules.has(id)) return modules.get(id);
+
+    try {
+      source = loader.read(id);
+    } catch (error) {
+      report(
+        importer,
+        "import-not-found",
+        `Cannot load "${importNode.source}": ${error.message}`,
+        importNode.loc,
+      );
+      return null;
+    }
+
+    const moduleDiagnostics = [];
+    const program = parse(source, moduleDiagnostics);
+    moduleDiagnostics.forEach((d) => diagnostics.push({ ...d, file: id }));
+
+    const module = { id, exports: new Map(), scope: null };
+    program.body.forEach((node) => {
+      if (DECLARATION_TYPES.includes(node.type)) {
+        module.exports.set(node.name.toLowerCase(), { node, module });
+      }
+    });
+    module.scope = buildScope(program, module, [...chain, id]);
+    modules.set(id, module);
+    return module;
+  };
+
+  const main = { id: filename, exports: new Map(), scope: null };
+  ast.body.forEach((node) => {
+    if (DECLARATION_TYPES.includes(node.type)) {
+      main.exports.set(node.name.toLowerCase(), { node, module: main });
+    }
+  });
+  main.scope = buildScope(ast, main, filename ? [filename] : []);
+
+  for (const binding of main.scope.values()) {
+    if (binding.module !== main) include(binding);
+  }
+
+  return defs;
+}
+
+module.exports = {
+  createMemoryLoader,
+  createFileLoader,
+  resolveImports,
+  collectReferences,
+};
@@ -1,4 +1,33 @@
-const Ajv = require("ajv");
+// Draft 2020-12 validator, matching the schemas parseDSL emits (prefixItems, $defs)
+const Ajv = require("ajv/dist/2020");
+// Draft-07 validator, for schemas written before the move to 2020-12
+const AjvDraft07 = require("ajv");
+const { tokenize } = require("./lexer.js");
+const { parse } = require("./parser.js");
+const { createDiagnostic, formatDiagnostic } = require("./diagnostics.js");
+const {
+  createMemoryLoader,
+  createFileLoader,
+  resolveImports,
+} = require("./imports.js");
+const { resolveInheritance } = require("./inheritance.js");
+const { FORMAT_SHORTHANDS, FORMAT_CHECKERS } = require("./formats.js");
+const {
+  ATTRIBUTES,
+  NUMBER_LITERAL,
+  checkArguments,
+  splitArguments,
+  suggestAttribute,
+  validateAttributes,
+} = require("./attributes.js");
+const { checkSemantics } = require("./semantics.js");
+const {
+  splitIfArguments,
+  parseCondition,
+  conditionAtoms,
+  parsePath,
+} = require("./conditions.js");
+const { parseAssertion, checkAssertions } = require("./assertions.js");
 
 /**
  * Parses an breadcrumb expression and returns a sort rule
@@ -22,6 +51,19 @@ function handleSortExpression(expression) {
   return { name, dir };
 }
 
+/**
+ * Parses an @assert expression and returns an assertion for the x-assert keyword
+ * @param {string} expression - The assert expression to parse, e.g. '@assert(end_date >= start_date, "...")'
+ * @returns {object} The assertion with left, operator, right and message
+ */
+function handleAssertExpression(expression) {
+  const match = expression.match(/^@assert\(([\s\S]*)\)$/);
+  if (!match) {
+    throw new Error("Invalid @assert expression format!");
+  }
+  return parseAssertion(match[1]);
+}
+
 /**
  * Parses a @bump_on_change expression and returns a rule object
  * @param {string} expression - The bump_on_change expression to parse
@@ -339,230 +381,409 @@ function handleFilterExpression(expression) {
 }
 
 /**
- * Parses an IF expression and returns a schema object
- * @param {string} expression - The IF expression to parse
- * @returns {object} The IF schema
+ * Splits a path into the path of the object holding its last property and
+ * that property's name, e.g. `members[].driver.license` into
+ * `members[].driver` and `license`
+ * @param {string} path - The path as written
+ * @returns {object} { parent, name } where parent is "" for a top-level property
  */
-function handleIfExpression(expression) {
-  // Extract property, condition, and action parts manually to handle nested parens
-  const ifMatch = expression.match(/@if\(([^:]+):\s*/);
-  if (!ifMatch) {
-    throw new Error("Invalid IF expression format!");
-  }
+function splitPath(path) {
+  const segments = parsePath(path);
+  const dot = path.lastIndexOf(".");
+  return {
+    parent: dot === -1 ? "" : path.substring(0, dot).trim(),
+    name: segments[segments.length - 1].name,
+  };
+}
 
-  const property = ifMatch[1];
-  let remaining = expression.substring(ifMatch[0].length);
+/**
+ * Finds the subschema a path addresses inside an object schema, creating the
+ * `properties`, `items` and `prefixItems` along the way
+ * @param {object} schema - The object schema the path starts in
+ * @param {string} path - The path, e.g. "quote.drivers[].license" (see parsePath)
+ * @param {boolean} [positionsMustExist] - Add minItems so that `[N]` only matches arrays that have position N
+ * @returns {object} The subschema of the value at the end of the path
+ */
+function schemaAtPath(schema, path, positionsMustExist = false) {
+  let node = schema;
+  parsePath(path).forEach(({ name, steps }) => {
+    if (!node.properties) node.properties = {};
+    if (!node.properties[name]) node.properties[name] = {};
+    node = node.properties[name];
+    steps.forEach((step) => {
+      if (step === "[]") {
+        if (!node.items) node.items = {};
+        node = node.items;
+        return;
+      }
+      if (!node.prefixItems) node.prefixItems = [];
+      while (node.prefixItems.length <= step) node.prefixItems.push({});
+      if (positionsMustExist) {
+        node.minItems = Math.max(node.minItems || 0, step + 1);
+      }
+      node = node.prefixItems[step];
+    });
+  });
+  return node;
+}
 
-  // Find the split between condition and action by tracking parentheses
-  let depth = 0;
-  let splitIndex = -1;
-
-  for (let i = 0; i < remaining.length; i++) {
-    if (remaining[i] === "(") depth++;
-    else if (remaining[i] === ")") depth--;
-    else if (remaining[i] === "," && depth === 0) {
-      splitIndex = i;
-      break;
-    }
+/**
+ * Reads a literal written in an @if condition or @const action
+ * @param {string} text - The literal, e.g. '"auto"', "true" or "16"
+ * @returns {string|number|boolean} The value; quotes are removed from strings
+ */
+function parseIfLiteral(text) {
+  if (text.startsWith('"') && text.endsWith('"')) {
+    return text.slice(1, -1);
+  } else if (text === "true") {
+    return true;
+  } else if (text === "false") {
+    return false;
+  } else if (!isNaN(text)) {
+    return Number(text);
   }
+  return text;
+}
 
-  if (splitIndex === -1) {
-    throw new Error("Invalid IF expression format - missing comma separator!");
+/**
+ * Applies the constraints of an @if test to the subschema they test
+ *
+ * Each constraint is checked against the attribute registry: it must be one
+ * that @if actions accept (other than @required), with valid arguments.
+ * @enum values stay strings (quotes removed); other arguments are read with
+ * parseIfLiteral, except @pattern, whose regex is kept as written.
+ *
+ * @param {object} target - The subschema of the tested value
+ * @param {string} cond - The constraints, e.g. '@const("auto")' or '@minimum(16)'
+ * @throws {Error} When a constraint is unknown, not allowed or malformed
+ */
+function applyIfConstraints(target, cond) {
+  const attributes = extractAttributes(cond);
+  const stray = attributes.reduce((text, attr) => text.replace(attr, " "), cond).trim();
+  if (attributes.length === 0 || stray) {
+    throw new Error(
+      `@if condition "${stray || cond}" is not a constraint such as @const(value)`,
+    );
   }
 
-  const cond = remaining.substring(0, splitIndex).trim();
-  const action = remaining
-    .substring(splitIndex + 1, remaining.length - 1)
-    .trim(); // Remove trailing )
+  attributes.forEach((attr) => {
+    const match = attr.match(/^@(\w+)(?:\(([\s\S]*)\))?$/);
+    if (!match) {
+      throw new Error(`@if condition "${attr}" is not a constraint such as @const(value)`);
+    }
+    const [, name, args] = match;
+    const spec = Object.prototype.hasOwnProperty.call(ATTRIBUTES, name) ? ATTRIBUTES[name] : null;
+    if (!spec) {
+      const suggestion = suggestAttribute(name);
+      throw new Error(
+        `Unknown attribute "@${name}" in @if condition${
+          suggestion ? ` — did you mean "@${suggestion}"?` : ""
+        }`,
+      );
+    }
+    if (!spec.action || name === "required") {
+      throw new Error(`@${name} cannot be used in an @if condition`);
+    }
+    const problem = checkArguments({ name, args }, spec);
+    if (problem) {
+      throw new Error(`${problem} in @if condition`);
+    }
 
-  const condAttributes = extractAttributes(cond);
-  const actionAttributes = extractAttributes(action);
+    if (args === undefined) {
+      // @email, @uuid, ... test the format; other flags such as @uniqueItems are true
+      if (Object.prototype.hasOwnProperty.call(FORMAT_SHORTHANDS, name)) {
+        target.format = FORMAT_SHORTHANDS[name];
+      } else {
+        target[name] = true;
+      }
+    } else if (name === "enum") {
+      target.enum = splitArguments(args).map((value) => value.replace(/^"(.*)"$/, "$1"));
+    } else if (name === "pattern") {
+      target.pattern = args.trim();
+    } else {
+      target[name] = parseIfLiteral(args.trim());
+    }
+  });
+}
 
-  // Check if property is nested (e.g., quote.insurance_type)
-  const propertyPath = property.split(".");
+/**
+ * Builds the `if` subschema for one `path: @constraint ...` test of an @if
+ * @param {string} property - The property path, e.g. "quote.insurance_type" or "range[1]"
+ * @param {string} cond - The constraints, e.g. '@const("auto")'
+ * @returns {object} The subschema, e.g. { properties: { quote: { properties: ... } } }
+ */
+function handleIfCondition(property, cond) {
+  const condition = { properties: {} };
+  // The tested value (and each position) must exist, or a missing field
+  // would match the condition vacuously and skip the @else
+  applyIfConstraints(schemaAtPath(condition, property, true), cond);
+  requirePath(condition, property);
+  return condition;
+}
 
-  // Construct the JSONSchema 'if' part with nested property support
-  const schema = {
-    if: {
-      properties: {},
-    },
-    then: {},
-  };
+/**
+ * Requires every property along a path, so that a test on it cannot pass
+ * because the value is missing
+ * @param {object} schema - The object schema the path starts in
+ * @param {string} path - The path, e.g. "household.members"
+ */
+function requirePath(schema, path) {
+  const parts = path.split(".");
+  parts.forEach((part, i) => {
+    const holder = i === 0 ? schema : schemaAtPath(schema, parts.slice(0, i).join("."));
+    const { name } = parsePath(part)[0];
+    if (!holder.required) holder.required = [];
+    if (!holder.required.includes(name)) holder.required.push(name);
+  });
+}
 
-  // Build nested property structure for 'if' condition
-  let currentProp = schema.if.properties;
-  for (let i = 0; i < propertyPath.length; i++) {
-    const propName = propertyPath[i];
-    if (i === propertyPath.length - 1) {
-      // Last property in path - apply conditions here
-      currentProp[propName] = {};
-
-      for (let j = 0; j < condAttributes.length; j++) {
-        const condRegex = /(@[a-zA-Z0-9_]+)\(([^)]+)\)/;
-        const condMatch = condAttributes[j].match(condRegex);
-
-        if (!condMatch) continue;
-
-        let [, conditionType, conditionValue] = condMatch;
-
-        // Remove surrounding quotes from condition value if present
-        if (conditionValue.startsWith('"') && conditionValue.endsWith('"')) {
-          conditionValue = conditionValue.slice(1, -1);
-        } else if (conditionValue === "true") {
-          conditionValue = true;
-        } else if (conditionValue === "false") {
-          conditionValue = false;
-        } else if (!isNaN(conditionValue)) {
-          conditionValue = Number(conditionValue);
-        }
+/**
+ * Builds the `if` subschema for an `any`, `all` or `count(...)` test, which
+ * ranges over the items of the array marked by the last `[]` in its path
+ *
+ * The array and the tested item properties must be present: `any` and
+ * `count(...) >= n` need a matching item, and `all` needs at least one item,
+ * so that a household without vehicles does not count as "all leased".
+ *
+ * @param {object} atom - The quantified atom from parseCondition()
+ * @returns {object} The subschema, using contains/minContains/maxContains or items
+ */
+function handleQuantifiedCondition(atom) {
+  const { quantifier, path } = atom;
+  const split = path.lastIndexOf("[]");
+  if (split === -1) {
+    throw new Error(
+      `${quantifier} condition "${path}" needs a path through an array, such as members[].age`,
+    );
+  }
+  const arrayPath = path.substring(0, split);
+  const itemPath = path.substring(split + 2).replace(/^\./, "");
 
-        if (conditionType == "@enum") {
-          conditionValue = conditionValue.split(",");
-          conditionValue = conditionValue.map((m) =>
-            m.replace('\"', "").trim(),
-          );
-        }
+  const item = {};
+  if (itemPath) {
+    applyIfConstraints(schemaAtPath(item, itemPath, true), atom.constraints);
+    requirePath(item, itemPath);
+  } else {
+    applyIfConstraints(item, atom.constraints);
+  }
 
-        currentProp[propName][conditionType.replace("@", "")] = conditionValue;
-      }
-    } else {
-      // Intermediate property - create nested structure
-      currentProp[propName] = { properties: {} };
-      currentProp = currentProp[propName].properties;
-    }
+  const condition = { properties: {} };
+  const array = schemaAtPath(condition, arrayPath, true);
+  if (quantifier === "all") {
+    array.minItems = 1;
+    array.items = item;
+    requirePath(condition, arrayPath);
+    return condition;
   }
 
-  // Handle the 'then' part - support both @required and property-specific constraints
+  array.contains = item;
+  let min = 1;
+  let max;
+  if (quantifier === "count") {
+    const n = atom.count;
+    if (atom.operator === ">=") min = n;
+    else if (atom.operator === ">") min = n + 1;
+    else if (atom.operator === "==") min = max = n;
+    else if (atom.operator === "<=") [min, max] = [0, n];
+    else if (n === 0) {
+      throw new Error(`count condition on "${path}" can never hold — there cannot be fewer than 0 matches`);
+    } else [min, max] = [0, n - 1];
+    array.minContains = min;
+    if (max !== undefined) array.maxContains = max;
+  }
+  // With no match required, a missing array counts as zero matches
+  if (min > 0) requirePath(condition, arrayPath);
+  return condition;
+}
+
+/**
+ * Compiles a parsed @if condition (see conditions.js) to its `if` subschema
+ * @param {object} node - The condition tree
+ * @returns {object} The subschema; AND, OR and NOT become allOf, anyOf and not
+ */
+function buildConditionSchema(node) {
+  switch (node.type) {
+    case "and":
+      return { allOf: node.operands.map(buildConditionSchema) };
+    case "or":
+      return { anyOf: node.operands.map(buildConditionSchema) };
+    case "not":
+      return { not: buildConditionSchema(node.operand) };
+    default:
+      return node.quantifier
+        ? handleQuantifiedCondition(node)
+        : handleIfCondition(node.path, node.constraints);
+  }
+}
+
+/**
+ * Builds the `then` (or `else`) subschema from the actions of an @if (or @else)
+ *
+ * `@required(path, ...)` requires properties; any other action attribute
+ * (see the `action` flag in attributes.js) takes the path it constrains
+ * first and then its usual arguments: `@maximum(liability_limits.pd, 100)`,
+ * `@enum(members[].relationship, spouse, child)`, `@uniqueItems(tags)`.
+ *
+ * @param {string} action - The actions, e.g. "@required(um_limit) @minItems(drivers, 1)"
+ * @returns {object} The subschema
+ */
+function handleIfActions(action) {
+  const actionAttributes = extractAttributes(action);
+  const result = {};
+
   for (let i = 0; i < actionAttributes.length; i++) {
-    const actionRegex = /(@[a-zA-Z0-9_]+)\(([^)]+)\)/;
-    const actionMatch = actionAttributes[i].match(actionRegex);
+    const actionMatch = actionAttributes[i].match(/^@(\w+)(?:\(([\s\S]*)\))?$/);
 
     if (!actionMatch) continue;
 
-    let [, actionType, actionValue] = actionMatch;
+    const [, actionType, actionValue = ""] = actionMatch;
+
+    if (actionType === "required") {
+      // @required(tags), @required(liability_limits.bi), @required(members[].drivers[].license)
+      actionValue
+        .split(",")
+        .map((target) => target.trim())
+        .filter(Boolean)
+        .forEach((target) => {
+          const { parent, name } = splitPath(target);
+          const holder = parent ? schemaAtPath(result, parent) : result;
+          if (!holder.required) {
+            holder.required = [];
+          }
+          holder.required.push(name);
+        });
+      continue;
+    }
 
-    // Check if action value contains a comma (property,value format)
-    const actionParts = actionValue.split(",");
+    const spec = ATTRIBUTES[actionType];
+    if (!spec || !spec.action) {
+      throw new Error(`@${actionType} cannot be used as an @if action`);
+    }
+    const [path, ...rest] = splitArguments(actionValue);
+    if (!path) {
+      throw new Error(`@if action @${actionType} needs the path it applies to`);
+    }
+    const args = actionValue.substring(actionValue.indexOf(",") + 1).trim();
+    const attr = { name: actionType, args: rest.length > 0 ? args : "" };
+    const problem = checkArguments(attr, spec);
+    if (problem) {
+      throw new Error(`${problem} after its path in @if action @${actionType}(${actionValue})`);
+    }
 
-    if (actionType === "@required") {
-      // Check for array item syntax: household_members[].driver or household_members[].driver.license_status
-      if (actionValue.includes("[]")) {
-        const match = actionValue.match(/^([^[]+)\[\]\.(.+)$/);
-        if (match) {
-          const arrayName = match[1]; // e.g., "household_members"
-          const itemPath = match[2]; // e.g., "driver" or "driver.license_status"
+    const target = schemaAtPath(result, path);
+    if (actionType === "const") {
+      target.const = parseIfLiteral(attr.args);
+    } else if (Object.prototype.hasOwnProperty.call(FORMAT_SHORTHANDS, actionType)) {
+      target.format = FORMAT_SHORTHANDS[actionType];
+    } else {
+      handleAttributes(
+        [attr.args ? `@${actionType}(${attr.args})` : `@${actionType}`],
+        path,
+        null,
+        target,
+        { requiredFields: [] },
+        [],
+      );
+    }
+  }
 
-          // Create nested structure for array items in 'then'
-          if (!schema.then.properties) {
-            schema.then.properties = {};
-          }
-          if (!schema.then.properties[arrayName]) {
-            schema.then.properties[arrayName] = {};
-          }
-          if (!schema.then.properties[arrayName].items) {
-            schema.then.properties[arrayName].items = {};
-          }
+  return result;
+}
 
-          // Check if itemPath contains nested property (e.g., "driver.license_status")
-          if (itemPath.includes(".")) {
-            const pathParts = itemPath.split(".");
-            const objectName = pathParts[0]; // e.g., "driver"
-            const fieldName = pathParts.slice(1).join("."); // e.g., "license_status"
-
-            // Create nested structure for the object within array items
-            if (!schema.then.properties[arrayName].items.properties) {
-              schema.then.properties[arrayName].items.properties = {};
-            }
-            if (
-              !schema.then.properties[arrayName].items.properties[objectName]
-            ) {
-              schema.then.properties[arrayName].items.properties[objectName] =
-                {};
-            }
-            if (
-              !schema.then.properties[arrayName].items.properties[objectName]
-                .required
-            ) {
-              schema.then.properties[arrayName].items.properties[
-                objectName
-              ].required = [];
-            }
-            schema.then.properties[arrayName].items.properties[
-              objectName
-            ].required.push(fieldName);
-          } else {
-            // Simple property within array item (e.g., "driver")
-            if (!schema.then.properties[arrayName].items.required) {
-              schema.then.properties[arrayName].items.required = [];
-            }
-            schema.then.properties[arrayName].items.required.push(itemPath);
-          }
-        }
-      } else if (actionValue.includes(".")) {
-        // Handle nested property requirement: @required(liability_limits.bi)
-        const pathParts = actionValue.split(".");
-        const objectName = pathParts[0]; // e.g., "liability_limits"
-        const fieldName = pathParts.slice(1).join("."); // e.g., "bi" or "nested.field"
-
-        // Create nested structure in 'then'
-        if (!schema.then.properties) {
-          schema.then.properties = {};
-        }
-        if (!schema.then.properties[objectName]) {
-          schema.then.properties[objectName] = {};
-        }
-        if (!schema.then.properties[objectName].required) {
-          schema.then.properties[objectName].required = [];
-        }
-        schema.then.properties[objectName].required.push(fieldName);
-      } else {
-        // Simple property requirement: @required(tags)
-        if (!schema.then.hasOwnProperty("required")) {
-          schema.then.required = [];
-        }
-        schema.then.required.push(actionValue);
-      }
-    } else if (actionParts.length === 2) {
-      // Format: @minItems(household_vehicles,1)
-      const targetProperty = actionParts[0].trim();
-      let constraintValue = actionParts[1].trim();
-
-      // Convert value to appropriate type
-      if (!isNaN(constraintValue)) {
-        constraintValue = Number(constraintValue);
-      } else if (constraintValue === "true") {
-        constraintValue = true;
-      } else if (constraintValue === "false") {
-        constraintValue = false;
-      }
+/**
+ * Parses an IF expression and returns a schema object
+ *
+ * The condition may combine `field: @constraint` tests with AND, OR, NOT and
+ * parentheses. The @else that follows the @if, if any, becomes `else`.
+ *
+ * @param {string} expression - The IF expression to parse, e.g. '@if(a: @const(1), @required(b))'
+ * @param {string} [elseExpression] - The @else expression, e.g. '@else(@required(c))'
+ * @returns {object} The IF schema
+ */
+function handleIfExpression(expression, elseExpression) {
+  const ifMatch = expression.match(/^@if\(([\s\S]*)\)$/);
+  if (!ifMatch) {
+    throw new Error("Invalid IF expression format!");
+  }
+  const { condition, action } = splitIfArguments(ifMatch[1]);
 
-      // Create properties object in 'then' if it doesn't exist
-      if (!schema.then.properties) {
-        schema.then.properties = {};
-      }
-      if (!schema.then.properties[targetProperty]) {
-        schema.then.properties[targetProperty] = {};
-      }
+  const schema = {
+    if: buildConditionSchema(parseCondition(condition)),
+    then: handleIfActions(action),
+  };
 
-      schema.then.properties[targetProperty][actionType.replace("@", "")] =
-        constraintValue;
-    } else {
-      // Legacy format: constraint applies to root
-      schema.then[actionType.replace("@", "")] = actionValue;
+  if (elseExpression) {
+    const elseMatch = elseExpression.match(/^@else\(([\s\S]*)\)$/);
+    if (!elseMatch) {
+      throw new Error("Invalid ELSE expression format!");
     }
+    schema.else = handleIfActions(elseMatch[1]);
   }
 
   return schema;
 }
 
+/**
+ * Lets null through the enum or const of a nullable schema (`type: [T, "null"]`),
+ * which would otherwise reject the null its type allows
+ * @param {object} schema - The field's schema
+ */
+function allowNullValue(schema) {
+  if (!Array.isArray(schema.type) || !schema.type.includes("null")) return;
+  if ("const" in schema) {
+    schema.enum = [schema.const, null];
+    delete schema.const;
+  } else if (Array.isArray(schema.enum) && !schema.enum.includes(null)) {
+    schema.enum.push(null);
+  }
+}
+
+/**
+ * Parses the single numeric argument of an attribute such as @maximum(999999.99)
+ * @param {string} name - The attribute name, e.g. "minimum"
+ * @param {string} args - The text inside the parentheses, e.g. "-5"
+ * @param {string} field - Field name, for error messages
+ * @returns {number} The exact value of the literal
+ */
+function parseNumberArgument(name, args, field) {
+  const literal = args.trim();
+  if (!NUMBER_LITERAL.test(literal)) {
+    throw new Error(
+      `@${name} on field "${field}" expects a number but got "${literal}"`,
+    );
+  }
+  return Number(literal);
+}
+
+/**
+ * Reads the name and arguments of an attribute written as text
+ * @param {string} text - The attribute, e.g. '@enum(open, closed)' or '@trim'
+ * @returns {object} { name, args, raw }; args is "" without parentheses
+ */
+function readAttribute(text) {
+  const [, name = "", args = ""] = text.match(/^@(\w+)(?:\(([\s\S]*)\))?$/) || [];
+  return { name, args, raw: text };
+}
+
+/**
+ * Removes the double quotes around a string literal argument
+ * @param {string} text - The argument as written, e.g. '"a)b"' or 'open'
+ * @returns {string} The value
+ */
+function unquoteArgument(text) {
+  return /^"[\s\S]*"$/.test(text) ? text.slice(1, -1) : text;
+}
+
 /**
  * Processes attributes and updates field schema and context accordingly
- * @param {Array} attributes - Array of attribute strings
+ * @param {Array} attributes - Attribute nodes from the AST ({ name, args, raw }),
+ *   or attribute strings such as "@minimum(0)"
  * @param {string} field - Field name
- * @param {string} type - Field type string
+ * @param {string} type - Field type name
  * @param {object} fieldSchema - Schema object for the field
  * @param {object} context - Context object with requiredFields
  * @param {Array} fieldPermissions - Array to collect field permissions
+ * @param {object} [scope] - The program scope, used to resolve @ref keys
  */
 function handleAttributes(
   attributes,
@@ -571,71 +792,110 @@ function handleAttributes(
   fieldSchema,
   context,
   fieldPermissions,
+  scope,
 ) {
-  attributes.forEach((attr) => {
-    if (attr.startsWith("@can")) {
-      const perm = handlePermExpression(attr);
+  let allowEmpty = false;
+  attributes.forEach((attribute) => {
+    const attr = typeof attribute === "string" ? readAttribute(attribute) : attribute;
+    const { name, raw } = attr;
+    const args = attr.args || "";
+    if (name === "can") {
+      const perm = handlePermExpression(raw);
       fieldPermissions.push({ [field]: perm });
-    } else if (attr.startsWith("@enum")) {
-      const enums = type.match(/@enum\((.*?)\)/)[1];
-      fieldSchema.enum = enums.split(",").map((m) => m.trim());
-    } else if (attr.startsWith("@ref")) {
-      const refName = type.match(/@ref\((.*?)\)/)[1];
-      fieldSchema["$ref"] = `#/$defs/${refName.toLowerCase()}`;
-    } else if (attr.startsWith("@required")) {
+    } else if (name === "enum") {
+      fieldSchema.enum = splitArguments(args).map(unquoteArgument);
+    } else if (name === "ref") {
+      const ref = `#/$defs/${defKey(args.trim(), scope)}`;
+      if (Array.isArray(fieldSchema.type) && fieldSchema.type.includes("null")) {
+        // `object? @ref(Name)`: null must bypass the referenced schema
+        delete fieldSchema.type;
+        fieldSchema.anyOf = [{ $ref: ref }, { type: "null" }];
+      } else {
+        fieldSchema["$ref"] = ref;
+      }
+    } else if (name === "required") {
       context.requiredFields.push(field);
-    } else if (attr.startsWith("@minItems")) {
-      fieldSchema.minItems = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@maxItems")) {
-      fieldSchema.maxItems = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@uniqueItems")) {
+    } else if (name === "minItems") {
+      fieldSchema.minItems = parseInt(args, 10);
+    } else if (name === "maxItems") {
+      fieldSchema.maxItems = parseInt(args, 10);
+    } else if (name === "uniqueItems") {
       fieldSchema.uniqueItems = true;
-    } else if (attr.startsWith("@minLength")) {
-      fieldSchema.minLength = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@maxLength")) {
-      fieldSchema.maxLength = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@exclusiveMinimum")) {
-      fieldSchema.exclusiveMinimum = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@exclusiveMaximum")) {
-      fieldSchema.exclusiveMaximum = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@minimum")) {
-      fieldSchema.minimum = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@maximum")) {
-      fieldSchema.maximum = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@multipleOf")) {
-      fieldSchema.multipleOf = parseInt(attr.match(/\d+/)[0]);
-    } else if (attr.startsWith("@format")) {
-      const format = attr.match(/\((.*?)\)/)[1];
-      if (format === "date-time") {
-        fieldSchema.anyOf = [
-          { type: "string", format: "date-time" },
-          { type: "string", enum: [""] },
-        ];
-        delete fieldSchema.type;
+    } else if (name === "const") {
+      const constValue = args.trim();
+      if (/^".*"$/.test(constValue)) {
+        fieldSchema.const = constValue.slice(1, -1);
+      } else if ([].concat(fieldSchema.type).includes("boolean")) {
+        fieldSchema.const = constValue === "true";
+      } else if (
+        !isNaN(constValue) &&
+        [].concat(fieldSchema.type).some((t) => t === "number" || t === "integer")
+      ) {
+        fieldSchema.const = Number(constValue);
       } else {
-        fieldSchema.format = format;
+        fieldSchema.const = constValue;
+      }
+    } else if (name === "exclusive") {
+      // Exclusive union: exactly one variant may match (the field's own union,
+      // or the item union of an array)
+      const union = fieldSchema.anyOf ? fieldSchema : fieldSchema.items;
+      if (!union || !union.anyOf) {
+        throw new Error(`@exclusive on field "${field}" requires a union type`);
+      }
+      union.oneOf = union.anyOf;
+      delete union.anyOf;
+    } else if (name === "inclusive") {
+      // Inclusive union (anyOf) is the default; accepted to state it explicitly
+      const union = fieldSchema.anyOf ? fieldSchema : fieldSchema.items;
+      if (!union || !union.anyOf) {
+        throw new Error(`@inclusive on field "${field}" requires a union type`);
+      }
+    } else if (name === "minLength") {
+      fieldSchema.minLength = parseInt(args, 10);
+    } else if (name === "maxLength") {
+      fieldSchema.maxLength = parseInt(args, 10);
+    } else if (
+      ["exclusiveMinimum", "exclusiveMaximum", "minimum", "maximum", "multipleOf"].includes(name)
+    ) {
+      fieldSchema[name] = parseNumberArgument(name, args, field);
+      if (name === "multipleOf" && fieldSchema.multipleOf <= 0) {
+        throw new Error(`@multipleOf on field "${field}" must be greater than 0`);
       }
-    } else if (attr.startsWith("@pattern")) {
-      // Extract pattern handling nested parentheses
-      const match = attr.match(/@pattern\((.*)\)$/);
-      if (match) {
-        fieldSchema.pattern = match[1];
+    } else if (name === "precision") {
+      const types = [].concat(fieldSchema.type || []);
+      if (!types.includes("number") && !types.includes("integer")) {
+        throw new Error(`@precision on field "${field}" requires a numeric type`);
       }
-    } else if (attr.startsWith("@default")) {
+      const [precision, scale = 0] = splitArguments(args).map(Number);
+      if (
+        !Number.isInteger(precision) ||
+        !Number.isInteger(scale) ||
+        precision < 1 ||
+        scale < 0 ||
+        scale > precision
+      ) {
+        throw new Error(
+          `@precision on field "${field}" expects (precision, scale) with 0 <= scale <= precision`,
+        );
+      }
+      fieldSchema["x-precision"] = { precision, scale };
+    } else if (name === "format") {
+      fieldSchema.format = unquoteArgument(args.trim());
+    } else if (name === "pattern") {
+      // The regex is kept exactly as written, parentheses included
+      fieldSchema.pattern = args;
+    } else if (name === "default") {
       // Skip default on date-time fields — absence is the correct "no value"
-      const isDateTime =
-        fieldSchema.anyOf &&
-        fieldSchema.anyOf.some((s) => s.format === "date-time");
-      if (isDateTime) return;
+      if (fieldSchema.format === "date-time") return;
 
-      const defaultValue = attr.match(/\((.*?)\)/)[1];
+      const defaultValue = args.trim();
       if (defaultValue === '""') {
         fieldSchema.default = "";
       } else if (defaultValue === "true" || defaultValue === "false") {
         fieldSchema.default = defaultValue === "true";
       } else if (
         !isNaN(defaultValue) &&
-        (fieldSchema.type === "number" || fieldSchema.type === "integer")
+        [].concat(fieldSchema.type).some((t) => t === "number" || t === "integer")
       ) {
         // Only convert to number if field type is numeric
         fieldSchema.default = parseFloat(defaultValue);
@@ -643,15 +903,160 @@ function handleAttributes(
         // For string types and others, keep as string (remove quotes if present)
         fieldSchema.default = defaultValue.replace(/^["']|["']$/g, "");
       }
-    } else if (attr.startsWith("@startTrim")) {
+    } else if (name === "startTrim") {
       // Start trim - removes only leading whitespace
       fieldSchema["x-startTrim"] = true;
-    } else if (attr.startsWith("@endTrim")) {
+    } else if (name === "endTrim") {
       // End trim - removes only trailing whitespace
       fieldSchema["x-endTrim"] = true;
-    } else if (attr.startsWith("@trim")) {
+    } else if (name === "trim") {
       // Full trim - removes leading and trailing whitespace
       fieldSchema["x-trim"] = true;
+    } else if (name === "keyPattern") {
+      // Only keys matching the pattern are allowed; their values keep the map's value type
+      if (fieldSchema.additionalProperties === undefined) {
+        throw new Error(`@keyPattern on field "${field}" requires a map type`);
+      }
+      fieldSchema.patternProperties = {
+        [args.trim()]: fieldSchema.additionalProperties,
+      };
+      fieldSchema.additionalProperties = false;
+    } else if (Object.prototype.hasOwnProperty.call(FORMAT_SHORTHANDS, name)) {
+      // @email, @uuid, ... are shorthands for @format(...)
+      const types = [].concat(fieldSchema.type || []);
+      if (!types.includes("string")) {
+        throw new Error(`@${name} on field "${field}" requires a string-based type`);
+      }
+      fieldSchema.format = FORMAT_SHORTHANDS[name];
+    } else if (ANNOTATIONS.includes(name)) {
+      handleAnnotation(raw, fieldSchema);
+    } else if (name === "allowEmpty") {
+      allowEmpty = true;
+    }
+  });
+
+  allowNullValue(fieldSchema);
+
+  // Applied last so every constraint declared alongside it is bypassed by ""
+  if (allowEmpty) {
+    allowEmptyString(fieldSchema, field);
+  }
+}
+
+/** Annotation attributes, emitted as the JSON Schema keyword of the same name */
+const ANNOTATIONS = ["title", "description", "examples", "deprecated"];
+
+/**
+ * Applies @title, @description, @examples or @deprecated to a schema
+ * @param {string} attr - The raw attribute, e.g. '@description("Shown as help text")'
+ * @param {object} schema - The field, def or model schema
+ */
+function handleAnnotation(attr, schema) {
+  const name = attr.match(/^@(\w+)/)[1];
+  if (name === "deprecated") {
+    schema.deprecated = true;
+    return;
+  }
+  const args = (attr.match(/\(([\s\S]*)\)$/) || [])[1] || "";
+  if (name !== "examples") {
+    schema[name] = annotationText(args.trim());
+    return;
+  }
+  // JSON literals keep their type, except on string fields: @examples(02134, 12345)
+  const types = [].concat(schema.type || []);
+  schema.examples = splitArguments(args).map((arg) => {
+    try {
+      const value = JSON.parse(arg);
+      return types.includes("string") && typeof value !== "string" ? arg : value;
+    } catch {
+      return annotationText(arg);
+    }
+  });
+}
+
+/**
+ * Returns the text of an annotation argument, unquoting a string literal
+ * @param {string} text - The argument as written
+ * @returns {string} The text
+ */
+function annotationText(text) {
+  if (/^"[\s\S]*"$/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text;
+}
+
+/**
+ * Applies a def's, model's or nested block's own annotations to its schema:
+ * its `///` doc comment as `description`, then its @title, @description,
+ * @examples and @deprecated directives
+ * @param {object} block - The Def, Model, Enum or Field node
+ * @param {object} schema - The schema describing the block as a whole
+ */
+function applyBlockAnnotations(block, schema) {
+  if (block.doc) schema.description = block.doc;
+  (block.members || []).forEach((member) => {
+    if (member.type === "Directive" && !member.invalid && ANNOTATIONS.includes(member.name)) {
+      handleAnnotation(member.raw, schema);
+    }
+  });
+}
+
+/**
+ * Returns the `$defs` key of a def or enum
+ *
+ * Names are matched case-insensitively; the key is the declared name,
+ * lowercased unless the `defsKeyCase: "preserve"` option is set.
+ *
+ * @param {string} name - The name as written, e.g. in @ref(address)
+ * @param {object} [scope] - The program scope
+ * @returns {string} The key, e.g. "address" (or "Address" when preserving case)
+ */
+function defKey(name, scope) {
+  const lower = name.toLowerCase();
+  const node = scope && (scope.defs.get(lower) || scope.enums.get(lower));
+  const declared = node ? node.name : name;
+  return scope && scope.defsKeyCase === "preserve" ? declared : declared.toLowerCase();
+}
+
+/** String validation keywords that an empty value must bypass */
+const STRING_CONSTRAINTS = [
+  "type",
+  "$ref",
+  "format",
+  "pattern",
+  "minLength",
+  "maxLength",
+  "enum",
+  "const",
+];
+
+/**
+ * Lets a string-based field accept "" in addition to its constrained values
+ * @param {object} fieldSchema - Schema object for the field, updated in place
+ * @param {string} field - Field name, for error messages
+ */
+function allowEmptyString(fieldSchema, field) {
+  const types = [].concat(fieldSchema.type || []);
+  const isEnumRef = fieldSchema.$ref && !fieldSchema.type;
+  if (!types.includes("string") && !isEnumRef) {
+    throw new Error(`@allowEmpty on field "${field}" requires a string-based type`);
+  }
+
+  // Move the constraints into the first branch, keeping the key order otherwise
+  const constrained = {};
+  const rest = Object.entries(fieldSchema);
+  rest.forEach(([key]) => delete fieldSchema[key]);
+  rest.forEach(([key, value]) => {
+    if (STRING_CONSTRAINTS.includes(key)) {
+      constrained[key] = value;
+      fieldSchema.anyOf = [constrained, { type: "string", enum: [""] }];
+    } else {
+      fieldSchema[key] = value;
     }
   });
 }
@@ -699,328 +1104,1007 @@ function extractAttributes(typeString) {
 }
 
 /**
- * Parses a DSL string and returns a JSON Schema object
- * @param {string} dsl - The DSL string to parse
- * @returns {object} The parsed JSON Schema
+ * Builds the base JSON Schema for a field's type node
+ * @param {object} typeNode - The Type, Union or @ref Attribute node from the AST
+ * @param {object} [scope] - { enums, defs, aliases } maps keyed by lowercase name
+ * @returns {object} The schema for the type, before field attributes are applied
  */
-function parseDSL(dsl) {
-  const rawLines = dsl
-    .split("\n")
-    .map((line) => line.trim())
-    .filter((line) => line !== "");
-
-  // Join multi-line directives (@filter, @actions) into single lines
-  const lines = [];
-  let accumulator = null;
-  let parenDepth = 0;
-
-  for (const line of rawLines) {
-    if (accumulator !== null) {
-      accumulator += " " + line;
-      for (const ch of line) {
-        if (ch === "(") parenDepth++;
-        else if (ch === ")") parenDepth--;
-      }
-      if (parenDepth <= 0) {
-        lines.push(accumulator);
-        accumulator = null;
-        parenDepth = 0;
-      }
-    } else if (
-      (line.startsWith("@filter") || line.startsWith("@actions")) &&
-      (() => {
-        let d = 0;
-        for (const ch of line) {
-          if (ch === "(") d++;
-          else if (ch === ")") d--;
-        }
-        return d > 0;
-      })()
-    ) {
-      accumulator = line;
-      parenDepth = 0;
-      for (const ch of line) {
-        if (ch === "(") parenDepth++;
-        else if (ch === ")") parenDepth--;
-      }
+function buildTypeSchema(typeNode, scope) {
+  let schema = buildBaseTypeSchema(typeNode, scope);
+
+  // `T?`: widen a plain type, otherwise allow null alongside the whole schema
+  if (typeNode.nullable) {
+    if (typeof schema.type === "string" && !schema.$ref) {
+      schema.type = [schema.type, "null"];
+      allowNullValue(schema);
     } else {
-      lines.push(line);
+      schema = { anyOf: [schema, { type: "null" }] };
     }
   }
-  if (accumulator !== null) {
-    lines.push(accumulator);
+
+  // Attributes on a type argument, e.g. each position of a tuple
+  if (typeNode.attributes) {
+    handleAttributes(
+      typeNode.attributes.filter((attr) => !attr.invalid),
+      typeNode.name || "item",
+      typeNode.name,
+      schema,
+      { requiredFields: [] },
+      [],
+      scope,
+    );
   }
+  return schema;
+}
 
-  let schema = { $defs: {} };
-  let rules = [];
-  let sortRules = [];
-  let breadcrumbRules = [];
-  let permissions = {};
-  let fieldPermissions = [];
-  let filterRules = {};
-  let actionPermissions = {};
-  let bumpOnChangeRules = [];
-  let stack = [];
-  let currentObject = schema;
-
-  lines.forEach((line) => {
-    if (line.startsWith("def ")) {
-      // Reset collections for the new definition
-      rules = [];
-      sortRules = [];
-      breadcrumbRules = [];
-      permissions = {};
-      fieldPermissions = [];
-      filterRules = {};
-      actionPermissions = {};
-      bumpOnChangeRules = [];
-
-      const [defName, defType] = line
-        .match(/def (\w+) (object|array)/)
-        .slice(1);
-      let defSchema =
-        defType === "object"
-          ? { type: "object", properties: {} }
-          : {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {},
-              },
-            };
+/**
+ * Builds the schema for a type node, ignoring its `?` modifier
+ * @param {object} typeNode - The Type, Union or @ref Attribute node from the AST
+ * @param {object} [scope] - { enums, defs, aliases } maps keyed by lowercase name
+ * @returns {object} The schema for the type
+ */
+function buildBaseTypeSchema(typeNode, scope) {
+  if (typeNode.type === "Union") {
+    // Unions are inclusive by default; @exclusive turns anyOf into oneOf
+    return {
+      anyOf: typeNode.variants.map((variant) => buildTypeSchema(variant, scope)),
+    };
+  }
 
-      schema.$defs[defName.toLowerCase()] = defSchema;
-      currentObject = defType === "object" ? defSchema : defSchema.items;
-      stack.push({
-        object: currentObject,
-        requiredFields: [],
-        blockType: "def",
-      });
-    } else if (line.startsWith("model ")) {
-      // Reset collections for the model
-      rules = [];
-      sortRules = [];
-      breadcrumbRules = [];
-      permissions = {};
-      fieldPermissions = [];
-      filterRules = {};
-      actionPermissions = {};
-      bumpOnChangeRules = [];
-
-      const modelName = line.match(/model (\w+)/)[1];
-      schema.title = modelName.toLowerCase();
-      schema.type = "object";
-      schema.properties = {};
-      currentObject = schema;
-      stack.push({
-        object: currentObject,
-        requiredFields: [],
-        blockType: "model",
-      });
-    } else if (line.startsWith("}")) {
-      const context = stack.pop();
-      currentObject = context.object;
-      if (context.requiredFields.length > 0) {
-        currentObject.required = context.requiredFields;
+  if (typeNode.type === "Attribute") {
+    // @ref(Name) as a union variant or array item type
+    return { $ref: `#/$defs/${defKey((typeNode.args || "").trim(), scope)}` };
+  }
+
+  if (scope && scope.enums.has(typeNode.name.toLowerCase())) {
+    return { $ref: `#/$defs/${defKey(typeNode.name, scope)}` };
+  }
+
+  // Aliases expand in place; attributes on the field are layered on top later
+  const alias = scope && scope.aliases.get(typeNode.name.toLowerCase());
+  if (alias) {
+    const schema = buildTypeSchema(alias.aliasedType, scope);
+    handleAttributes(
+      alias.attributes.filter((attr) => !attr.invalid),
+      alias.name,
+      alias.aliasedType.name,
+      schema,
+      { requiredFields: [] },
+      [],
+      scope,
+    );
+    return schema;
+  }
+
+  if (typeNode.name === "objectid") {
+    return { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+  }
+
+  if (typeNode.name === "decimal") {
+    // Validators know no "decimal" type; the hint lets MongoDB store Decimal128
+    return { type: "number", "x-bsonType": "decimal" };
+  }
+
+  if (typeNode.name === "date") {
+    return { type: "string", format: "date" };
+  }
+
+  if (typeNode.name === "array" && typeNode.arguments.length > 0) {
+    return { type: "array", items: buildTypeSchema(typeNode.arguments[0], scope) };
+  }
+
+  if (typeNode.name === "tuple") {
+    // tuple(A, B): a fixed-length array with one type per position
+    if (typeNode.arguments.length === 0) {
+      throw new Error("tuple() needs at least one item type");
+    }
+    return {
+      type: "array",
+      prefixItems: typeNode.arguments.map((arg) => buildTypeSchema(arg, scope)),
+      items: false,
+      minItems: typeNode.arguments.length,
+    };
+  }
+
+  if (typeNode.name === "map") {
+    // map(V) or map(K, V): an object whose values are V, keyed by strings
+    const args = typeNode.arguments;
+    if (args.length === 0 || args.length > 2) {
+      throw new Error("map() takes a value type, or a key type and a value type");
+    }
+    const schema = { type: "object" };
+    if (args.length === 2) {
+      const keySchema = buildTypeSchema(args[0], scope);
+      if (keySchema.type !== "string" && !keySchema.$ref) {
+        throw new Error("Map keys must be a string-based type");
       }
-      if (rules.length > 0) {
-        currentObject.allOf = rules;
+      delete keySchema.type;
+      if (Object.keys(keySchema).length > 0) {
+        schema.propertyNames = keySchema;
       }
-      if (sortRules.length > 0) {
-        currentObject.sort = sortRules;
+    }
+    schema.additionalProperties = buildTypeSchema(args[args.length - 1], scope);
+    return schema;
+  }
+
+  return { type: typeNode.name };
+}
+
+/**
+ * Turns the @ref union of a field (or of its array items) into a discriminated
+ * union keyed on one property of the variants
+ *
+ * Each variant's discriminator value comes from the mapping in the attribute
+ * (`@discriminator(kind, auto: AutoCoverage)`) or from a `@const(...)` on the
+ * variant def's own discriminator field. JSON Schema output gets one if/then
+ * per variant, so a value is only validated against the variant it names;
+ * OpenAPI output keeps the oneOf and adds the `discriminator` keyword.
+ *
+ * @param {object} member - The Field node carrying @discriminator
+ * @param {object} fieldSchema - The field's schema, after attributes are applied
+ * @param {object} scope - { enums, defs, aliases, mode } for the program
+ */
+function applyDiscriminator(member, fieldSchema, scope) {
+  const attr = member.attributes.find((a) => a.name === "discriminator" && !a.invalid);
+  const [property, ...mappingParts] = (attr.args || "").split(",").map((p) => p.trim());
+  if (!property) {
+    throw new Error(`@discriminator on field "${member.name}" needs a property name`);
+  }
+
+  const unionType =
+    member.fieldType.type === "Union"
+      ? member.fieldType
+      : member.fieldType.type === "Type" && member.fieldType.name === "array"
+        ? member.fieldType.arguments[0]
+        : null;
+  const variants =
+    unionType && unionType.type === "Union"
+      ? unionType.variants.filter((v) => v.type === "Attribute")
+      : [];
+  if (variants.length === 0 || variants.length !== unionType.variants.length) {
+    throw new Error(
+      `@discriminator on field "${member.name}" requires a union of @ref(...) variants`,
+    );
+  }
+
+  const explicit = {};
+  mappingParts.forEach((part) => {
+    const [value, defName] = part.split(":").map((p) => p.trim());
+    if (!value || !defName) {
+      throw new Error(`Invalid @discriminator mapping "${part}" — expected value: DefName`);
+    }
+    explicit[defName.toLowerCase()] = value;
+  });
+
+  const mapping = {};
+  variants.forEach((variant) => {
+    const defName = (variant.args || "").trim();
+    const key = defName.toLowerCase();
+    let value = explicit[key];
+    delete explicit[key];
+    if (value === undefined) {
+      const def = scope.defs.get(key);
+      const field = def && findField(def.members, [property], scope);
+      const constAttr = field && field.attributes.find((a) => a.name === "const");
+      value = constAttr ? constAttr.args.trim().replace(/^"(.*)"$/, "$1") : undefined;
+    }
+    if (value === undefined) {
+      throw new Error(
+        `Variant "${defName}" has no value for discriminator "${property}" — add @const(...) to its "${property}" field or map it in @discriminator`,
+      );
+    }
+    if (mapping[value]) {
+      throw new Error(`Discriminator value "${value}" is used by more than one variant`);
+    }
+    mapping[value] = `#/$defs/${defKey(defName, scope)}`;
+  });
+  const unknown = Object.keys(explicit);
+  if (unknown.length > 0) {
+    throw new Error(
+      `@discriminator maps "${unknown[0]}", which is not a variant of field "${member.name}"`,
+    );
+  }
+
+  const union = unionType === member.fieldType ? fieldSchema : fieldSchema.items;
+  const branches = union.oneOf || union.anyOf;
+  delete union.oneOf;
+  delete union.anyOf;
+
+  if (scope.mode === "openapi") {
+    union.oneOf = branches;
+    union.discriminator = { propertyName: property, mapping };
+    return;
+  }
+
+  union.type = "object";
+  union.required = [property];
+  union.properties = { [property]: { enum: Object.keys(mapping) } };
+  union.allOf = Object.entries(mapping).map(([value, ref]) => ({
+    if: { properties: { [property]: { const: value } }, required: [property] },
+    then: { $ref: ref },
+  }));
+}
+
+/**
+ * Checks a type alias for cycles and for attributes that only make sense on a field
+ * @param {object} node - The TypeAlias node
+ * @param {object} scope - { enums, defs, aliases } maps keyed by lowercase name
+ * @param {Array} diagnostics - Array collecting diagnostics
+ * @returns {boolean} False when the alias is part of a cycle and cannot be expanded
+ */
+function checkTypeAlias(node, scope, diagnostics) {
+  const typeNames = (typeNode) => {
+    if (typeNode.type === "Union") return typeNode.variants.flatMap(typeNames);
+    if (typeNode.type !== "Type") return [];
+    return [typeNode.name, ...typeNode.arguments.flatMap(typeNames)];
+  };
+  const findCycle = (alias, chain) => {
+    if (chain.includes(alias)) return [...chain, alias];
+    for (const name of typeNames(alias.aliasedType)) {
+      const target = scope.aliases.get(name.toLowerCase());
+      const cycle = target && findCycle(target, [...chain, alias]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  const cycle = findCycle(node, []);
+  if (cycle) {
+    diagnostics.push(
+      createDiagnostic(
+        "error",
+        "type-alias-cycle",
+        `Type alias cycle: ${cycle.map((alias) => alias.name).join(" → ")}`,
+        node.loc,
+      ),
+    );
+    return false;
+  }
+
+  node.attributes
+    .filter((attr) => attr.name === "required" || attr.name === "can")
+    .forEach((attr) => {
+      diagnostics.push(
+        createDiagnostic(
+          "error",
+          "invalid-alias-attribute",
+          `@${attr.name} cannot be part of type alias "${node.name}" — put it on the field instead`,
+          attr.loc,
+        ),
+      );
+    });
+  return true;
+}
+
+/**
+ * Emits the shared `$defs` entry for an enum declaration
+ * @param {object} node - The Enum node
+ * @param {Array} diagnostics - Array collecting diagnostics
+ * @returns {object} The enum schema, with labels in `x-enumLabels`
+ */
+function buildEnumSchema(node, diagnostics) {
+  const values = [];
+  node.members.forEach((member) => {
+    if (values.includes(member.value)) {
+      diagnostics.push(
+        createDiagnostic(
+          "error",
+          "duplicate-enum-member",
+          `Enum "${node.name}" already has a member "${member.value}"`,
+          member.loc,
+        ),
+      );
+      return;
+    }
+    values.push(member.value);
+  });
+
+  const schema = { type: "string", enum: values };
+  if (node.members.some((member) => member.label !== null)) {
+    schema["x-enumLabels"] = {};
+    node.members.forEach((member) => {
+      if (!(member.value in schema["x-enumLabels"])) {
+        schema["x-enumLabels"][member.value] = member.label ?? member.value;
       }
-      if (breadcrumbRules.length > 0) {
-        currentObject.breadcrumb = breadcrumbRules;
+    });
+  }
+  return schema;
+}
+
+/**
+ * Lists the defs a field refers to with @ref: as an attribute, as its type
+ * (`@ref(Person)?`), as an item or argument type (`array(@ref(Member))`) or
+ * as variants of a union (`@ref(Person) | @ref(Company)`)
+ * @param {object} field - The Field node
+ * @param {object} scope - { enums, defs, aliases } maps keyed by lowercase name
+ * @returns {Array} The Def nodes, in the order they are written
+ */
+function referencedDefs(field, scope) {
+  const refs = field.attributes.filter((attr) => attr.name === "ref");
+  const collect = (typeNode) => {
+    if (typeNode.type === "Union") {
+      typeNode.variants.forEach(collect);
+    } else if (typeNode.type === "Attribute") {
+      if (typeNode.name === "ref") refs.push(typeNode);
+    } else {
+      (typeNode.arguments || []).forEach(collect);
+    }
+  };
+  collect(field.fieldType);
+  return refs
+    .map((ref) => ref.args && scope.defs.get(ref.args.trim().toLowerCase()))
+    .filter(Boolean);
+}
+
+/**
+ * Finds the field a dotted path points at, following nested blocks and @ref defs
+ *
+ * Through a union of defs, the field comes from the first variant that has it.
+ *
+ * @param {Array} members - The members of the block the path starts in
+ * @param {Array} path - The path segments, e.g. ["quote", "status"]
+ * @param {object} scope - { enums, defs, aliases } maps keyed by lowercase name
+ * @returns {object|null} The Field node, or null if the path does not resolve
+ */
+function findField(members, path, scope) {
+  const field = members.find(
+    (member) => member.type === "Field" && member.name === path[0],
+  );
+  if (!field || path.length === 1) return field || null;
+  if (field.members) return findField(field.members, path.slice(1), scope);
+
+  for (const def of referencedDefs(field, scope)) {
+    const found = findField(def.members, path.slice(1), scope);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Reports @if conditions on enum fields that use values the enum does not declare
+ * @param {object} member - The @if Directive node
+ * @param {object} block - The block the directive belongs to
+ * @param {object} scope - { enums, defs, aliases } maps keyed by lowercase name
+ * @param {Array} diagnostics - Array collecting diagnostics
+ */
+function checkEnumConditions(member, block, scope, diagnostics) {
+  const { condition } = splitIfArguments(member.args);
+  conditionAtoms(parseCondition(condition)).forEach((atom) => {
+    const path = parsePath(atom.path).map((segment) => segment.name);
+    const field = findField(block.members, path, scope);
+    const enumNode =
+      field &&
+      field.fieldType.type === "Type" &&
+      scope.enums.get(field.fieldType.name.toLowerCase());
+    if (!enumNode) return;
+
+    const test = schemaAtPath(handleIfCondition(atom.path, atom.constraints), atom.path);
+    const values = [
+      ...("const" in test ? [test.const] : []),
+      ...(Array.isArray(test.enum) ? test.enum : []),
+    ];
+    const members = enumNode.members.map((m) => m.value);
+    values
+      .filter((value) => !members.includes(String(value)))
+      .forEach((value) => {
+        diagnostics.push(
+          createDiagnostic(
+            "error",
+            "unknown-enum-member",
+            `@if condition on "${atom.path}" uses "${value}", which is not a member of enum ${enumNode.name} (${members.join(", ")})`,
+            member.loc,
+          ),
+        );
+      });
+  });
+}
+
+/**
+ * Merges the verbs of one @can into the collection permissions gathered so
+ * far, as when a block inherits @can from several bases
+ *
+ * The roles of a verb declared more than once are combined. Its @if
+ * conditions (`<verb>_when`) must then be the same, since they would also
+ * limit the roles from the other declaration.
+ *
+ * @param {object} permissions - The permissions gathered so far
+ * @param {object} perms - A parsed @can expression
+ * @param {string} owner - The name of the block, for error messages
+ * @returns {object} The merged permissions
+ * @throws {Error} When a verb is declared with different conditions
+ */
+function mergePermissions(permissions, perms, owner) {
+  const merged = { ...permissions };
+  Object.keys(perms)
+    .filter((key) => !key.endsWith("_when"))
+    .forEach((verb) => {
+      const when = `${verb}_when`;
+      if (merged[verb] === undefined) {
+        merged[verb] = perms[verb];
+        if (perms[when]) merged[when] = perms[when];
+        return;
       }
-      if (bumpOnChangeRules.length > 0) {
-        currentObject.bumpOnChange = bumpOnChangeRules;
+      if (JSON.stringify(merged[when]) !== JSON.stringify(perms[when])) {
+        throw new Error(
+          `${owner} gets @can "${verb}" from more than one place with different @if conditions — they cannot be merged`,
+        );
       }
-      // Validate @bump_on_change field references (model blocks only)
-      if (context.blockType === "model" && bumpOnChangeRules.length > 0) {
-        const bumpProps = currentObject.properties || {};
-        for (const rule of bumpOnChangeRules) {
-          if (!bumpProps[rule.target]) {
-            throw new Error(
-              `@bump_on_change target "${rule.target}" — no property "${rule.target}" exists in this model`,
-            );
-          }
-          for (const trigger of rule.when) {
-            if (!bumpProps[trigger]) {
-              throw new Error(
-                `@bump_on_change trigger "${trigger}" — no property "${trigger}" exists in this model`,
-              );
-            }
-          }
+      const roles = `${merged[verb]} ${perms[verb]}`.split(/\s+/).filter(Boolean);
+      merged[verb] = [...new Set(roles)].join(" ");
+    });
+  return merged;
+}
+
+/**
+ * Reports @can @if conditions that reference fields missing from a model
+ * @param {object} perms - The parsed permission object (may hold <verb>_when arrays)
+ * @param {object} props - The model's properties
+ * @param {string|null} field - The field the permission is attached to, if any
+ * @param {object} loc - The source location to report against
+ * @param {Array} diagnostics - Array collecting diagnostics
+ */
+function checkPermissionConditions(perms, props, field, loc, diagnostics) {
+  for (const [key, value] of Object.entries(perms)) {
+    if (key.endsWith("_when") && Array.isArray(value)) {
+      for (const rule of value) {
+        const topField = rule.path.split(".")[0];
+        if (!props[topField]) {
+          const subject = field ? `@can @if on field "${field}"` : "@can @if";
+          diagnostics.push(
+            createDiagnostic(
+              "error",
+              "unknown-can-field",
+              `${subject} references unknown field "${rule.path}" — no property "${topField}" exists in this model`,
+              loc,
+            ),
+          );
         }
       }
-      // Validate conditional permission field references (model blocks only —
-      // def blocks are fragments that may reference fields in the parent model)
-      if (context.blockType === "model") {
-        const props = currentObject.properties || {};
-        for (const fp of fieldPermissions) {
-          for (const [field, perms] of Object.entries(fp)) {
-            for (const [key, value] of Object.entries(perms)) {
-              if (key.endsWith("_when") && Array.isArray(value)) {
-                for (const rule of value) {
-                  const topField = rule.path.split(".")[0];
-                  if (!props[topField]) {
-                    throw new Error(
-                      `@can @if on field "${field}" references unknown field "${rule.path}" — no property "${topField}" exists in this model`,
-                    );
-                  }
-                }
-              }
-            }
+    }
+  }
+}
+
+/**
+ * Emits the schema for a def, model or nested field block into its target object
+ *
+ * Errors thrown by the expression handlers are reported as diagnostics
+ * against the member that caused them, and the member is left out of the
+ * schema.
+ *
+ * @param {object} block - The Def, Model or Field node holding the members
+ * @param {object} target - The schema object receiving properties and rules
+ * @param {Array} diagnostics - Array collecting diagnostics
+ * @param {object} scope - { enums, defs, aliases } maps of the program's declarations, keyed by lowercase name, and the output mode
+ */
+function emitBlock(block, target, diagnostics, scope) {
+  const context = { requiredFields: [] };
+  const rules = [];
+  const sortRules = [];
+  const breadcrumbRules = [];
+  const fieldPermissions = [];
+  const filterRules = {};
+  const bumpOnChangeRules = [];
+  const assertions = [];
+  const permissionSources = [];
+  const bumpSources = [];
+  let permissions = {};
+  let actionPermissions = {};
+  let additionalProperties;
+
+  block.members.forEach((member) => {
+    // Unterminated argument lists were already reported by the lexer
+    if (member.invalid) return;
+    try {
+      if (member.type === "Field") {
+        const fieldSchema = buildTypeSchema(member.fieldType, scope);
+        if (member.doc) fieldSchema.description = member.doc;
+        if (member.members) {
+          // Inline `object { ... }` / `array { ... }` shapes are emitted like a def
+          let shape = fieldSchema;
+          if (member.fieldType.name === "array") {
+            shape = fieldSchema.items = { type: "object" };
           }
+          applyBlockAnnotations({ members: member.members }, shape);
+          shape.properties = {};
+          emitBlock(member, shape, diagnostics, scope);
         }
-        // Validate collection-level conditional permission references
-        for (const [key, value] of Object.entries(permissions)) {
-          if (key.endsWith("_when") && Array.isArray(value)) {
-            for (const rule of value) {
-              const topField = rule.path.split(".")[0];
-              if (!props[topField]) {
-                throw new Error(
-                  `@can @if references unknown field "${rule.path}" — no property "${topField}" exists in this model`,
-                );
-              }
-            }
-          }
+        const permStart = fieldPermissions.length;
+        handleAttributes(
+          member.attributes.filter((attr) => !attr.invalid),
+          member.name,
+          member.fieldType.name,
+          fieldSchema,
+          context,
+          fieldPermissions,
+          scope,
+        );
+        if (member.attributes.some((attr) => attr.name === "discriminator" && !attr.invalid)) {
+          applyDiscriminator(member, fieldSchema, scope);
         }
+        target.properties[member.name] = fieldSchema;
+        fieldPermissions.slice(permStart).forEach((fp) => {
+          permissionSources.push({
+            field: member.name,
+            perms: fp[member.name],
+            loc: member.loc,
+          });
+        });
+        return;
       }
 
-      if (
-        Object.keys(permissions).length > 0 ||
-        Object.keys(filterRules).length > 0 ||
-        Object.keys(actionPermissions).length > 0 ||
-        fieldPermissions.length > 0
-      ) {
-        currentObject.permissions = {};
-        if (Object.keys(permissions).length > 0) {
-          currentObject.permissions.collection = permissions;
-        }
-        if (Object.keys(filterRules).length > 0) {
-          currentObject.permissions.filters = filterRules;
+      switch (member.name) {
+        case "if": {
+          const elseClause = member.else && !member.else.invalid ? member.else.raw : undefined;
+          rules.push(handleIfExpression(member.raw, elseClause));
+          checkEnumConditions(member, block, scope, diagnostics);
+          break;
         }
-        if (fieldPermissions.length > 0) {
-          currentObject.permissions.field = fieldPermissions;
+        case "else":
+          throw new Error("@else must directly follow an @if");
+        case "assert":
+          assertions.push(handleAssertExpression(member.raw));
+          break;
+        case "breadcrumb":
+          breadcrumbRules.push(handleBreadcrumbExpression(member.raw));
+          break;
+        case "sort":
+          sortRules.push(handleSortExpression(member.raw));
+          break;
+        case "can": {
+          const perms = handlePermExpression(member.raw);
+          permissions = mergePermissions(permissions, perms, block.name);
+          permissionSources.push({ field: null, perms, loc: member.loc });
+          break;
         }
-        if (Object.keys(actionPermissions).length > 0) {
-          currentObject.permissions.actions = actionPermissions;
+        case "filter":
+          Object.assign(filterRules, handleFilterExpression(member.raw));
+          break;
+        case "actions":
+          actionPermissions = handlePermExpression(member.raw);
+          break;
+        case "title":
+        case "description":
+        case "examples":
+        case "deprecated":
+          // Applied to the block's own schema (see applyBlockAnnotations)
+          break;
+        case "closed":
+          additionalProperties = false;
+          break;
+        case "open":
+          additionalProperties = true;
+          break;
+        case "bump_on_change": {
+          const rule = handleBumpOnChangeExpression(member.raw);
+          bumpOnChangeRules.push(rule);
+          bumpSources.push({ rule, loc: member.loc });
+          break;
         }
       }
+    } catch (error) {
+      const code =
+        member.type === "Field"
+          ? "invalid-attribute"
+          : `invalid-${member.name.replace(/_/g, "-")}`;
+      diagnostics.push(createDiagnostic("error", code, error.message, member.loc));
+    }
+  });
 
-      // Reset for next section
-      rules = [];
-      sortRules = [];
-      breadcrumbRules = [];
-      permissions = {};
-      fieldPermissions = [];
-      filterRules = {};
-      actionPermissions = {};
-      bumpOnChangeRules = [];
-
-      if (stack.length > 0) {
-        currentObject = stack[stack.length - 1].object;
-      }
-    } else if (line.startsWith("@if")) {
-      const rule = handleIfExpression(line);
-      rules.push(rule);
-    } else if (line.startsWith("@breadcrumb")) {
-      const rule = handleBreadcrumbExpression(line);
-      breadcrumbRules.push(rule);
-    } else if (line.startsWith("@sort")) {
-      const rule = handleSortExpression(line);
-      sortRules.push(rule);
-    } else if (line.startsWith("@can")) {
-      permissions = handlePermExpression(line);
-    } else if (line.startsWith("@filter")) {
-      const parsed = handleFilterExpression(line);
-      Object.assign(filterRules, parsed);
-    } else if (line.startsWith("@actions")) {
-      actionPermissions = handlePermExpression(line);
-    } else if (line.startsWith("@bump_on_change")) {
-      const rule = handleBumpOnChangeExpression(line);
-      bumpOnChangeRules.push(rule);
-    } else if (line.includes("array(")) {
-      const field = line.substring(0, line.indexOf(":")).trim();
-      const type = line.substring(line.indexOf(":") + 1).trim();
-      const attributes = extractAttributes(type);
-      const arrayTypeMatch = line.match(/array\((\w+)\)/);
-      const arrayRefTypeMatch = line.match(/array\(@ref\((\w+)\)/);
-
-      let context = stack[stack.length - 1];
-
-      if (arrayTypeMatch) {
-        const itemType = arrayTypeMatch[1];
-        const nestedArray = { type: "array", items: { type: itemType } };
-        handleAttributes(
-          attributes,
-          field,
-          type,
-          nestedArray,
-          context,
-          fieldPermissions,
-        );
-        currentObject["properties"][field] = nestedArray;
-      } else if (arrayRefTypeMatch) {
-        const refName = type.match(/@ref\((.*?)\)/)[1];
-        const refValue = `#/$defs/${refName.toLowerCase()}`;
-        const nestedArray = { type: "array", items: { $ref: refValue } };
-        let filteredAttributes = attributes.filter(
-          (attribute) => !attribute.includes(refName),
-        );
-        handleAttributes(
-          filteredAttributes,
-          field,
-          type,
-          nestedArray,
-          context,
-          fieldPermissions,
+  if (context.requiredFields.length > 0) {
+    target.required = context.requiredFields;
+  }
+  if (additionalProperties !== undefined) {
+    target.additionalProperties = additionalProperties;
+  }
+  if (rules.length > 0) {
+    target.allOf = rules;
+  }
+  if (assertions.length > 0) {
+    target["x-assert"] = assertions;
+  }
+  if (sortRules.length > 0) {
+    target.sort = sortRules;
+  }
+  if (breadcrumbRules.length > 0) {
+    target.breadcrumb = breadcrumbRules;
+  }
+  if (bumpOnChangeRules.length > 0) {
+    target.bumpOnChange = bumpOnChangeRules;
+  }
+  // Validate @bump_on_change field references (model blocks only)
+  if (block.type === "Model") {
+    const bumpProps = target.properties || {};
+    for (const { rule, loc } of bumpSources) {
+      if (!bumpProps[rule.target]) {
+        diagnostics.push(
+          createDiagnostic(
+            "error",
+            "unknown-bump-target",
+            `@bump_on_change target "${rule.target}" — no property "${rule.target}" exists in this model`,
+            loc,
+          ),
         );
-        currentObject["properties"][field] = nestedArray;
       }
-    } else {
-      const field = line.substring(0, line.indexOf(":")).trim();
-      const type = line.substring(line.indexOf(":") + 1).trim();
-      // Extract attributes using balanced parentheses matching
-      const attributes = extractAttributes(type);
-      const fieldType = type.split("@")[0].trim();
-
-      // Handle objectid as a special type - convert to string with pattern
-      let fieldSchema;
-      if (fieldType === "objectid") {
-        fieldSchema = {
-          type: "string",
-          pattern: "^$|^[a-fA-F0-9]{24}$", // Allow empty string or valid 24-char hex
-        };
-      } else {
-        fieldSchema = { type: fieldType };
+      for (const trigger of rule.when) {
+        if (!bumpProps[trigger]) {
+          diagnostics.push(
+            createDiagnostic(
+              "error",
+              "unknown-bump-trigger",
+              `@bump_on_change trigger "${trigger}" — no property "${trigger}" exists in this model`,
+              loc,
+            ),
+          );
+        }
       }
+    }
+  }
+  // Validate conditional permission field references (model blocks only —
+  // def blocks are fragments that may reference fields in the parent model)
+  if (block.type === "Model") {
+    const props = target.properties || {};
+    for (const { field, perms, loc } of permissionSources) {
+      checkPermissionConditions(perms, props, field, loc, diagnostics);
+    }
+  }
 
-      let context = stack[stack.length - 1];
-      handleAttributes(
-        attributes,
-        field,
-        type,
-        fieldSchema,
-        context,
-        fieldPermissions,
+  if (
+    Object.keys(permissions).length > 0 ||
+    Object.keys(filterRules).length > 0 ||
+    Object.keys(actionPermissions).length > 0 ||
+    fieldPermissions.length > 0
+  ) {
+    target.permissions = {};
+    if (Object.keys(permissions).length > 0) {
+      target.permissions.collection = permissions;
+    }
+    if (Object.keys(filterRules).length > 0) {
+      target.permissions.filters = filterRules;
+    }
+    if (fieldPermissions.length > 0) {
+      target.permissions.field = fieldPermissions;
+    }
+    if (Object.keys(actionPermissions).length > 0) {
+      target.permissions.actions = actionPermissions;
+    }
+  }
+}
+
+/**
+ * Walks a LiteSpec AST and returns a bundle of every model in the file
+ *
+ * All models share one `$defs` set, so each model schema's `#/$defs/...`
+ * references resolve against the bundle root (or against the standalone
+ * schema returned by getModelSchema). Defs and models that `extends` other
+ * defs are flattened first (see inheritance.js).
+ *
+ * Every model, def and enum schema keeps its declared name in `title` and
+ * `x-name`. `$defs` keys are lowercased unless `defsKeyCase` is "preserve".
+ *
+ * @param {object} ast - The Program node produced by parse()
+ * @param {Array} [diagnostics] - Array collecting emitter diagnostics
+ * @param {object} [options] - { mode, defsKeyCase } where mode is "json-schema" (default)
+ *   or "openapi", and defsKeyCase is "lower" (default) or "preserve"
+ * @returns {object} The bundle: { $defs, models } with models keyed by model name
+ */
+function emitBundle(ast, diagnostics = [], options = {}) {
+  const bundle = { $defs: {}, models: {} };
+  const program = resolveInheritance(ast, diagnostics);
+  const scope = {
+    enums: new Map(),
+    defs: new Map(),
+    aliases: new Map(),
+    mode: options.mode || "json-schema",
+    defsKeyCase: options.defsKeyCase || "lower",
+  };
+  // Defs and enums share `$defs` and are looked up case-insensitively, so
+  // `def Member` and `def member` collide; the first declaration wins
+  const collided = new Set();
+  program.body.forEach((node) => {
+    const key = node.name && node.name.toLowerCase();
+    if (node.type === "Enum" || node.type === "Def") {
+      const existing = scope.defs.get(key) || scope.enums.get(key);
+      if (existing) {
+        const where = existing.file ? `${existing.file}, ` : "";
+        const diagnostic = createDiagnostic(
+          "error",
+          "def-name-collision",
+          `"${node.name}" collides with "${existing.name}" (${where}line ${existing.loc.start.line}) — def and enum names are case-insensitive`,
+          node.loc,
+        );
+        diagnostics.push(node.file ? { ...diagnostic, file: node.file } : diagnostic);
+        collided.add(node);
+        return;
+      }
+    }
+    if (node.type === "Enum") scope.enums.set(key, node);
+    if (node.type === "Def") scope.defs.set(key, node);
+    if (node.type === "TypeAlias") scope.aliases.set(key, node);
+  });
+
+  // Aliases caught in a cycle are dropped so their uses cannot recurse forever
+  const cyclicAliases = [...scope.aliases.values()].filter((node) => {
+    const sink = [];
+    const expandable = checkTypeAlias(node, scope, sink);
+    sink.forEach((d) => diagnostics.push(node.file ? { ...d, file: node.file } : d));
+    return !expandable;
+  });
+  cyclicAliases.forEach((node) => scope.aliases.delete(node.name.toLowerCase()));
+
+  program.body.forEach((node) => {
+    if (collided.has(node)) return;
+    // Defs brought in by imports report their problems against their own file
+    const sink = node.file ? [] : diagnostics;
+
+    // Declared name first, then annotations, then the schema proper
+    const named = () => {
+      const schema = { title: node.name, "x-name": node.name };
+      applyBlockAnnotations(node, schema);
+      return schema;
+    };
+
+    if (node.type === "Enum") {
+      bundle.$defs[defKey(node.name, scope)] = {
+        ...named(),
+        ...buildEnumSchema(node, sink),
+      };
+    } else if (node.type === "Def") {
+      const defSchema =
+        node.kind === "object"
+          ? { ...named(), type: "object", properties: {} }
+          : {
+              ...named(),
+              type: "array",
+              items: {
+                type: "object",
+                properties: {},
+              },
+            };
+      bundle.$defs[defKey(node.name, scope)] = defSchema;
+      emitBlock(
+        node,
+        node.kind === "object" ? defSchema : defSchema.items,
+        sink,
+        scope,
       );
-      currentObject.properties[field] = fieldSchema;
+    } else if (node.type === "Model") {
+      if (bundle.models[node.name]) {
+        diagnostics.push(
+          createDiagnostic(
+            "error",
+            "duplicate-model",
+            `Model "${node.name}" is already defined in this file`,
+            node.loc,
+          ),
+        );
+        return;
+      }
+      const modelSchema = {
+        ...named(),
+        type: "object",
+        properties: {},
+      };
+      emitBlock(node, modelSchema, diagnostics, scope);
+      bundle.models[node.name] = modelSchema;
+    }
+
+    if (node.file) {
+      sink.forEach((d) => diagnostics.push({ ...d, file: node.file }));
     }
   });
 
+  return bundle;
+}
+
+/**
+ * Returns a standalone JSON Schema for one model of a bundle
+ * @param {object} bundle - The bundle produced by emitBundle()
+ * @param {string} modelName - The model name as written in the source
+ * @returns {object|null} The model schema with the shared $defs, or null if unknown
+ */
+function getModelSchema(bundle, modelName) {
+  if (!bundle.models[modelName]) return null;
+  return { $defs: bundle.$defs, ...bundle.models[modelName] };
+}
+
+/**
+ * Walks a LiteSpec AST and returns a JSON Schema object for a single model
+ * @param {object} ast - The Program node produced by parse()
+ * @param {Array} [diagnostics] - Array collecting emitter diagnostics
+ * @param {string} [modelName] - The model to emit; defaults to the first model in the file
+ * @param {object} [options] - { mode, defsKeyCase }, as for emitBundle()
+ * @returns {object} The JSON Schema
+ */
+function emitSchema(ast, diagnostics = [], modelName, options = {}) {
+  const bundle = emitBundle(ast, diagnostics, options);
+  const names = Object.keys(bundle.models);
+  if (names.length === 0) {
+    return { $defs: bundle.$defs };
+  }
+
+  const schema = getModelSchema(bundle, modelName || names[0]);
+  if (!schema) {
+    diagnostics.push(
+      createDiagnostic(
+        "error",
+        "unknown-model",
+        `No model named "${modelName}" — available models: ${names.join(", ")}`,
+        { start: ast.loc.start, end: ast.loc.start },
+      ),
+    );
+    return { $defs: bundle.$defs };
+  }
   return schema;
 }
 
+/**
+ * Parses a DSL string, links in the defs its imports refer to, checks every
+ * attribute against the registry (see attributes.js) and runs the semantic
+ * checks (see semantics.js)
+ * @param {string} dsl - The DSL string to parse
+ * @param {object} options - { loader, filename }
+ * @param {Array} diagnostics - Array collecting diagnostics
+ * @returns {object} The Program node with imported defs prepended to its body
+ */
+function parseAndLink(dsl, options, diagnostics) {
+  const ast = parse(dsl, diagnostics);
+  const imported = resolveImports(ast, options, diagnostics);
+  const program = { ...ast, body: [...imported, ...ast.body] };
+  validateAttributes(program, diagnostics);
+  checkSemantics(program, diagnostics);
+  return program;
+}
+
+/**
+ * Sorts diagnostics so the main file comes first, then by position
+ * @param {Array} diagnostics - The diagnostics to sort in place
+ */
+function sortDiagnostics(diagnostics) {
+  diagnostics.sort(
+    (a, b) =>
+      (a.file || "").localeCompare(b.file || "") ||
+      a.line - b.line ||
+      a.column - b.column,
+  );
+}
+
+/**
+ * Compiles a DSL string, collecting every problem instead of stopping at the first
+ * @param {string} dsl - The DSL string to compile
+ * @param {object} [options] - Compile options
+ * @param {string} [options.model] - The model to emit; defaults to the first model in the file
+ * @param {object} [options.loader] - Loader used to resolve imports (see createFileLoader/createMemoryLoader)
+ * @param {string} [options.filename] - The id of this file, used to resolve relative imports
+ * @param {string} [options.mode] - "json-schema" (default) or "openapi", which emits OpenAPI keywords such as `discriminator`
+ * @param {string} [options.defsKeyCase] - "lower" (default) lowercases `$defs` keys; "preserve" keeps the declared names
+ * @returns {object} { schema, diagnostics } with diagnostics sorted by position
+ */
+function compile(dsl, options = {}) {
+  const diagnostics = [];
+  const ast = parseAndLink(dsl, options, diagnostics);
+  const schema = emitSchema(ast, diagnostics, options.model, options);
+  sortDiagnostics(diagnostics);
+  return { schema, diagnostics };
+}
+
+/**
+ * Compiles a DSL string that may hold several models into a schema bundle
+ * @param {string} dsl - The DSL string to compile
+ * @param {object} [options] - { loader, filename, mode, defsKeyCase }, as for compile()
+ * @returns {object} { bundle, diagnostics } with diagnostics sorted by position
+ */
+function compileBundle(dsl, options = {}) {
+  const diagnostics = [];
+  const ast = parseAndLink(dsl, options, diagnostics);
+  const bundle = emitBundle(ast, diagnostics, options);
+  sortDiagnostics(diagnostics);
+  return { bundle, diagnostics };
+}
+
+/**
+ * Parses a DSL string and returns a JSON Schema object
+ * @param {string} dsl - The DSL string to parse
+ * @param {string} [modelName] - The model to return; defaults to the first model in the file
+ * @param {object} [options] - { loader, filename, mode, defsKeyCase }, as for compile()
+ * @returns {object} The parsed JSON Schema
+ * @throws {Error} The first error diagnostic, with all diagnostics attached as `diagnostics`
+ */
+function parseDSL(dsl, modelName, options = {}) {
+  const { schema, diagnostics } = compile(dsl, { ...options, model: modelName });
+  const firstError = diagnostics.find((d) => d.severity === "error");
+  if (firstError) {
+    const where = firstError.file ? `${firstError.file}, ` : "";
+    const error = new Error(
+      `${firstError.message} (${where}line ${firstError.line}, column ${firstError.column})`,
+    );
+    error.diagnostics = diagnostics;
+    throw error;
+  }
+  return schema;
+}
+
+/**
+ * Counts the digits of a number the way a DECIMAL(p, s) column does
+ * @param {number} value - The number to measure
+ * @returns {object} { integerDigits, scale } — digits before and after the point
+ */
+function countDecimalDigits(value) {
+  const [mantissa, exponent = "0"] = String(Math.abs(value)).split("e");
+  const [whole, fraction = ""] = mantissa.split(".");
+  const shift = Number(exponent);
+  return {
+    integerDigits: Math.max(0, whole.replace(/^0+/, "").length + shift),
+    scale: Math.max(0, fraction.length - shift),
+  };
+}
+
+/**
+ * Ajv keyword implementation for `x-precision` (emitted by @precision)
+ * @param {object} schema - The keyword value: { precision, scale }
+ * @param {number} data - The number being validated
+ * @returns {boolean} True when the number fits in precision/scale digits
+ */
+function validatePrecision(schema, data) {
+  const { integerDigits, scale } = countDecimalDigits(data);
+  if (scale <= schema.scale && integerDigits <= schema.precision - schema.scale) {
+    return true;
+  }
+  validatePrecision.errors = [
+    {
+      keyword: "x-precision",
+      message: `must have at most ${schema.precision} digits, ${schema.scale} of them after the decimal point`,
+      params: schema,
+    },
+  ];
+  return false;
+}
+
+/**
+ * Tells whether a schema is written for draft-07 rather than 2020-12: its
+ * `$schema` says so, or it has none and uses the draft-07 array form of `items`
+ * @param {object} schema - The JSON Schema
+ * @returns {boolean} True for a draft-07 schema
+ */
+function isDraft07Schema(schema) {
+  if (typeof schema.$schema === "string") return /draft-07/.test(schema.$schema);
+  const hasItemsArray = (node) =>
+    node !== null &&
+    typeof node === "object" &&
+    (Array.isArray(node.items) || Object.values(node).some(hasItemsArray));
+  return hasItemsArray(schema);
+}
+
 /**
  * Validates data against a JSON Schema
+ *
+ * Schemas from parseDSL are 2020-12; draft-07 schemas are still accepted
+ * (see isDraft07Schema).
+ *
  * @param {object} schema - The JSON Schema to validate against
  * @param {object} data - The data to validate
  * @returns {object} Validation result with valid flag and errors
  */
 function validateDataUsingSchema(schema, data) {
-  const ajv = new Ajv({ strict: false }); // Create an instance of Ajv
+  const Validator = isDraft07Schema(schema) ? AjvDraft07 : Ajv;
+  // multipleOfPrecision: 19.99 / 0.01 is 1998.9999999999998 in floating point
+  const ajv = new Validator({ strict: false, multipleOfPrecision: 9 }); // Create an instance of Ajv
+  ajv.addKeyword({
+    keyword: "x-precision",
+    type: "number",
+    schemaType: "object",
+    errors: true,
+    validate: validatePrecision,
+  });
+  ajv.addKeyword({
+    keyword: "x-assert",
+    type: "object",
+    schemaType: "array",
+    errors: true,
+    validate: checkAssertions,
+  });
+  Object.entries(FORMAT_CHECKERS).forEach(([name, checker]) =>
+    ajv.addFormat(name, checker),
+  );
   const validate = ajv.compile(schema); // Compile the JSON Schema
   const isValid = validate(data); // Validate the data object
 
@@ -1040,6 +2124,15 @@ if (typeof window !== "undefined") {
   window.litespec.handleFilterExpression = handleFilterExpression;
   window.litespec.handleIfExpression = handleIfExpression;
   window.litespec.handleAttributes = handleAttributes;
+  window.litespec.tokenize = tokenize;
+  window.litespec.parse = parse;
+  window.litespec.emitSchema = emitSchema;
+  window.litespec.emitBundle = emitBundle;
+  window.litespec.getModelSchema = getModelSchema;
+  window.litespec.compile = compile;
+  window.litespec.compileBundle = compileBundle;
+  window.litespec.createMemoryLoader = createMemoryLoader;
+  window.litespec.formatDiagnostic = formatDiagnostic;
   window.litespec.parseDSL = parseDSL;
   window.litespec.validateDataUsingSchema = validateDataUsingSchema;
 }
@@ -1052,6 +2145,16 @@ try {
       handleFilterExpression,
       handleIfExpression,
       handleAttributes,
+      tokenize,
+      parse,
+      emitSchema,
+      emitBundle,
+      getModelSchema,
+      compile,
+      compileBundle,
+      createMemoryLoader,
+      createFileLoader,
+      formatDiagnostic,
       parseDSL,
       validateDataUsingSchema,
     };
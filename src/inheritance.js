@@ -0,0 +1,151 @@
+/**
+ * Def inheritance and mixins: `model Invoice object extends Audited, SoftDeletable`.
+ *
+ * Bases are flattened into the extending block before it is emitted:
+ * - Fields are inherited in base order, then the block's own fields follow.
+ *   A field declared again (in a later base or in the block itself) replaces
+ *   the earlier declaration in place, attributes included. It must keep the
+ *   same type, otherwise a `conflicting-field-type` error is reported.
+ * - `@required` follows the field that carries it.
+ * - `@if`, `@filter` and `@bump_on_change` rules from every base accumulate.
+ * - `@can`, `@actions`, `@sort` and `@breadcrumb` are inherited only when the
+ *   block does not declare its own. The `@can` of several bases are merged
+ *   verb by verb when the block is emitted.
+ * - `@title`, `@description`, `@examples` and `@deprecated` describe the base
+ *   itself and are not inherited.
+ */
+
+const { createDiagnostic } = require("./diagnostics.js");
+
+/** Directives that the extending block replaces rather than adds to */
+const REPLACED_DIRECTIVES = ["can", "actions", "sort", "breadcrumb"];
+
+/** Directives that annotate the base and stay with it */
+const OWN_DIRECTIVES = ["title", "description", "examples", "deprecated"];
+
+/**
+ * Builds a comparable signature for a field's type, including its @ref target
+ * @param {object} field - The Field node
+ * @returns {string} The signature, e.g. "array(@ref(member))" or "object @ref(address)"
+ */
+function typeSignature(field) {
+  const signature = (node) => {
+    const suffix = node.nullable ? "?" : "";
+    if (node.type === "Attribute") {
+      return `@${node.name}(${(node.args || "").trim().toLowerCase()})${suffix}`;
+    }
+    if (node.type === "Union") return node.variants.map(signature).join("|");
+    if (node.arguments.length === 0) return node.name + suffix;
+    return `${node.name}(${node.arguments.map(signature).join(",")})${suffix}`;
+  };
+  const ref = field.attributes.find((attr) => attr.name === "ref");
+  const refSuffix = ref ? ` @ref(${(ref.args || "").trim().toLowerCase()})` : "";
+  return signature(field.fieldType) + refSuffix;
+}
+
+/**
+ * Flattens `extends` clauses so every def and model carries its full member list
+ * @param {object} program - The (linked) Program node
+ * @param {Array} [diagnostics] - Array collecting diagnostics
+ * @returns {object} A Program node whose extending blocks have merged members
+ */
+function resolveInheritance(program, diagnostics = []) {
+  const defs = new Map();
+  const resolved = new Map();
+
+  program.body.forEach((node) => {
+    if (node.type === "Def") defs.set(node.name.toLowerCase(), node);
+  });
+
+  const report = (node, code, message, loc) => {
+    const diagnostic = createDiagnostic("error", code, message, loc);
+    diagnostics.push(node.file ? { ...diagnostic, file: node.file } : diagnostic);
+  };
+
+  const effectiveMembers = (node, chain) => {
+    if (resolved.has(node)) return resolved.get(node);
+    if (!node.extends || node.extends.length === 0) return node.members;
+
+    const fields = new Map();
+    const origins = new Map();
+    const inheritedDirectives = [];
+
+    node.extends.forEach((base) => {
+      const baseNode = defs.get(base.name.toLowerCase());
+      if (!baseNode) {
+        report(node, "unknown-base", `Cannot extend unknown def "${base.name}"`, base.loc);
+        return;
+      }
+      if (chain.includes(baseNode)) {
+        const cycle = [...chain, baseNode].map((n) => n.name).join(" → ");
+        report(node, "inheritance-cycle", `Inheritance cycle: ${cycle}`, base.loc);
+        return;
+      }
+      if (baseNode.kind !== "object") {
+        report(
+          node,
+          "invalid-base",
+          `Cannot extend "${base.name}" — only object defs can be extended`,
+          base.loc,
+        );
+        return;
+      }
+
+      effectiveMembers(baseNode, [...chain, baseNode]).forEach((member) => {
+        if (member.type !== "Field") {
+          if (!OWN_DIRECTIVES.includes(member.name)) inheritedDirectives.push(member);
+          return;
+        }
+        const existing = fields.get(member.name);
+        if (existing && typeSignature(existing) !== typeSignature(member)) {
+          report(
+            node,
+            "conflicting-field-type",
+            `Field "${member.name}" is "${typeSignature(existing)}" in ${origins.get(member.name)} but "${typeSignature(member)}" in ${baseNode.name}`,
+            base.loc,
+          );
+        }
+        fields.set(member.name, member);
+        origins.set(member.name, baseNode.name);
+      });
+    });
+
+    const ownDirectives = [];
+    node.members.forEach((member) => {
+      if (member.type !== "Field") {
+        ownDirectives.push(member);
+        return;
+      }
+      const inherited = fields.get(member.name);
+      if (inherited && typeSignature(inherited) !== typeSignature(member)) {
+        report(
+          node,
+          "conflicting-field-type",
+          `Field "${member.name}" overrides "${typeSignature(inherited)}" from ${origins.get(member.name)} with a different type "${typeSignature(member)}"`,
+          member.loc,
+        );
+      }
+      fields.set(member.name, member);
+    });
+
+    const ownNames = new Set(ownDirectives.map((d) => d.name));
+    const directives = inheritedDirectives.filter(
+      (d) => !(REPLACED_DIRECTIVES.includes(d.name) && ownNames.has(d.name)),
+    );
+
+    const members = [...fields.values(), ...directives, ...ownDirectives];
+    resolved.set(node, members);
+    return members;
+  };
+
+  return {
+    ...program,
+    body: program.body.map((node) =>
+      node.extends && node.extends.length > 0
+        ? { ...node, members: effectiveMembers(node, [node]) }
+        : node,
+    ),
+  };
+}
+
+module.exports = { resolveInheritance, typeSignature };
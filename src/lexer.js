@@ -0,0 +1,338 @@
+/**
+ * Tokenizer for LiteSpec source text.
+ *
+ * Produces a flat token stream with source positions. Attribute arguments
+ * (the text inside `@name(...)`) are captured raw as part of the attribute
+ * token because their contents are free-form (regex patterns, filter
+ * expressions, role lists) and are interpreted by the attribute handlers.
+ *
+ * Comments are `// ...` to the end of the line and `/* ... *\/` (which may
+ * span lines). `/// ...` is a doc comment, which the parser attaches to the
+ * field, def, model or enum it precedes (or trails on the same line).
+ *
+ * Inside an argument list a comment must follow whitespace, so
+ * `@default(https://example.com)` keeps its value; string literals and the
+ * regex of `@pattern`/`@keyPattern` are never scanned for comments. Argument
+ * lists and type arguments (`map(string,\n number)`) may span lines; a line
+ * break inside an argument list reads as a space.
+ */
+
+const { createDiagnostic } = require("./diagnostics.js");
+
+/** Attributes whose argument is a regular expression, taken verbatim */
+const REGEX_ATTRIBUTES = ["pattern", "keyPattern"];
+
+/** The start of a field declaration, `name:`, which no type argument list continues with */
+const FIELD_START = /[ \t]*[A-Za-z_]\w*[ \t]*:/y;
+
+/**
+ * Creates a position object for the current lexer state
+ * @param {object} state - The lexer state
+ * @returns {object} Position with line, column (both 1-based) and offset
+ */
+function position(state) {
+  return { line: state.line, column: state.column, offset: state.offset };
+}
+
+/**
+ * Advances the lexer by one character, tracking line and column
+ * @param {object} state - The lexer state
+ * @returns {string} The character that was consumed
+ */
+function advance(state) {
+  const ch = state.source[state.offset];
+  state.offset++;
+  if (ch === "\n") {
+    state.line++;
+    state.column = 1;
+  } else {
+    state.column++;
+  }
+  return ch;
+}
+
+/**
+ * Finds the end of a comment that starts at `offset`
+ * @param {string} source - The source text
+ * @param {number} offset - The offset of the comment's first "/"
+ * @returns {number} The offset just past the comment (the newline is not
+ *   part of a `//` comment), or -1 for an unterminated block comment
+ */
+function commentEnd(source, offset) {
+  if (source[offset + 1] === "*") {
+    const close = source.indexOf("*/", offset + 2);
+    return close === -1 ? -1 : close + 2;
+  }
+  const lineEnd = source.indexOf("\n", offset);
+  return lineEnd === -1 ? source.length : lineEnd;
+}
+
+/**
+ * Scans an argument list for its closing parenthesis
+ *
+ * Parentheses inside string literals, escapes and regex character classes
+ * do not count, and neither do those inside comments.
+ *
+ * @param {string} source - The source text
+ * @param {number} offset - The offset of the opening "("
+ * @param {boolean} regex - True when the argument is a regular expression
+ * @returns {object} { close, comments } with the offset of the closing ")"
+ *   (-1 when there is none) and the [from, to) offsets of each comment
+ */
+function scanArgs(source, offset, regex) {
+  const comments = [];
+  let depth = 0;
+  let quote = false;
+  let charClass = false;
+  for (let i = offset; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i++;
+    } else if (quote) {
+      if (ch === '"') quote = false;
+    } else if (charClass) {
+      if (ch === "]") charClass = false;
+    } else if (regex && ch === "[") {
+      charClass = true;
+    } else if (!regex && ch === '"') {
+      quote = true;
+    } else if (
+      !regex &&
+      ch === "/" &&
+      (source[i + 1] === "/" || source[i + 1] === "*") &&
+      /\s/.test(source[i - 1])
+    ) {
+      const end = commentEnd(source, i);
+      if (end === -1) return { close: -1, comments };
+      comments.push([i, end]);
+      i = end - 1;
+    } else if (ch === "(") {
+      depth++;
+    } else if (ch === ")") {
+      depth--;
+      if (depth === 0) return { close: i, comments };
+    }
+  }
+  return { close: -1, comments };
+}
+
+/**
+ * Reads the balanced argument list that follows an attribute name
+ *
+ * Comments inside the list are moved to `comments` and left out of the
+ * argument text. An unterminated list is reported and cut off at the end of
+ * the line it started on so the rest of the file can still be tokenized.
+ *
+ * @param {object} state - The lexer state, positioned on the opening "("
+ * @param {Array} diagnostics - Array collecting lexer diagnostics
+ * @param {string} name - The attribute name
+ * @param {Array} comments - Array collecting comments
+ * @returns {object} The inner text (without comments) and its location
+ */
+function readAttributeArgs(state, diagnostics, name, comments) {
+  const { source } = state;
+  const open = position(state);
+  const scan = scanArgs(source, state.offset, REGEX_ATTRIBUTES.includes(name));
+  const close = scan.close;
+
+  advance(state); // Move past opening (
+  const start = position(state);
+
+  if (close === -1) {
+    let lineEnd = source.indexOf("\n", state.offset);
+    if (lineEnd === -1) lineEnd = source.length;
+    while (state.offset < lineEnd) advance(state);
+    diagnostics.push(
+      createDiagnostic(
+        "error",
+        "unterminated-args",
+        'Unterminated argument list — missing ")"',
+        { start: open, end: start },
+      ),
+    );
+    return {
+      args: source.substring(start.offset, state.offset),
+      argsLoc: { start, end: position(state) },
+      invalid: true,
+    };
+  }
+
+  let args = "";
+  let from = state.offset;
+  scan.comments.forEach(([commentStart, commentStop]) => {
+    args += source.substring(from, commentStart);
+    while (state.offset < commentStart) advance(state);
+    const loc = { start: position(state) };
+    while (state.offset < commentStop) advance(state);
+    loc.end = position(state);
+    comments.push(commentNode(source, commentStart, commentStop, loc, true));
+    from = commentStop;
+  });
+  args += source.substring(from, close);
+  while (state.offset < close) advance(state);
+  const end = position(state);
+  advance(state); // Move past closing )
+  return {
+    // A line break inside the list reads as a space, so handlers see one line
+    args: args.replace(/[ \t]*\r?\n\s*/g, " "),
+    argsLoc: { start, end },
+  };
+}
+
+/**
+ * Creates a Comment node
+ * @param {string} source - The source text
+ * @param {number} from - Offset of the comment's first "/"
+ * @param {number} to - Offset just past the comment
+ * @param {object} loc - The comment's location
+ * @param {boolean} trailing - True when code precedes the comment on its line
+ * @returns {object} { type: "Comment", value, block, doc, trailing, loc }
+ */
+function commentNode(source, from, to, loc, trailing) {
+  const block = source[from + 1] === "*";
+  // `///` is a doc comment; `////` and longer are plain comments
+  const doc = !block && /^\/\/\/(?!\/)/.test(source.substring(from, to));
+  const value = block
+    ? source.substring(from + 2, to - 2)
+    : source.substring(from + (doc ? 3 : 2), to);
+  return { type: "Comment", value: value.trim(), block, doc, trailing, loc };
+}
+
+/**
+ * Splits LiteSpec source into tokens
+ *
+ * Token types:
+ * - Identifier: names and keywords (def, model, string, array, ...)
+ * - String: double-quoted literal, value holds the unescaped text
+ * - Attribute: `@name` with optional raw `args` from `@name(...)`, flagged
+ *   `invalid` when the argument list is unterminated
+ * - Punctuator: single-character symbols ({ } ( ) : , etc.)
+ * - Newline: end of a logical line (consecutive newlines are collapsed, and
+ *   line breaks inside open type parentheses are not line ends, unless the
+ *   next line starts a field)
+ * - EOF: end of input
+ *
+ * Problems such as unterminated strings are recorded in `diagnostics` and
+ * tokenizing continues with the next line.
+ *
+ * @param {string} source - The LiteSpec source text
+ * @param {Array} [diagnostics] - Array collecting lexer diagnostics
+ * @returns {object} { tokens, comments } where comments holds every comment
+ */
+function tokenize(source, diagnostics = []) {
+  const state = { source, offset: 0, line: 1, column: 1 };
+  const tokens = [];
+  const comments = [];
+  // Open "(" of type arguments; a line break inside them does not end the line
+  let parenDepth = 0;
+
+  const newline = (start) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type !== "Newline" && parenDepth === 0) {
+      push("Newline", "\n", start);
+    }
+  };
+
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({
+      type,
+      value,
+      ...extra,
+      loc: { start, end: position(state) },
+    });
+  };
+
+  while (state.offset < source.length) {
+    const ch = source[state.offset];
+    const start = position(state);
+
+    if (ch === "\n") {
+      advance(state);
+      // A stray "(" must not merge the fields that follow it into its line
+      FIELD_START.lastIndex = state.offset;
+      if (parenDepth > 0 && FIELD_START.test(source)) parenDepth = 0;
+      newline(start);
+    } else if (/\s/.test(ch)) {
+      advance(state);
+    } else if (ch === "/" && (source[state.offset + 1] === "/" || source[state.offset + 1] === "*")) {
+      let end = commentEnd(source, state.offset);
+      if (end === -1) {
+        end = source.length;
+        diagnostics.push(
+          createDiagnostic("error", "unterminated-comment", 'Unterminated comment — missing "*/"', {
+            start,
+            end: { line: start.line, column: start.column + 2, offset: start.offset + 2 },
+          }),
+        );
+      }
+      const spansLines = source.substring(start.offset, end).includes("\n");
+      const last = tokens[tokens.length - 1];
+      const trailing = Boolean(last && last.type !== "Newline" && last.loc.end.line === start.line);
+      while (state.offset < end) advance(state);
+      comments.push(
+        commentNode(source, start.offset, end, { start, end: position(state) }, trailing),
+      );
+      // A block comment that spans lines still ends the line it started on
+      if (spansLines) newline(start);
+    } else if (ch === "@") {
+      advance(state);
+      while (state.offset < source.length && /\w/.test(source[state.offset])) {
+        advance(state);
+      }
+      const name = source.substring(start.offset + 1, state.offset);
+      let extra = { name, args: null, argsLoc: null };
+      if (source[state.offset] === "(") {
+        extra = { name, ...readAttributeArgs(state, diagnostics, name, comments) };
+      }
+      // Comments inside the arguments are not part of the attribute
+      const raw = extra.args === null ? `@${name}` : `@${name}(${extra.args})`;
+      push("Attribute", extra.invalid ? source.substring(start.offset, state.offset) : raw, start, extra);
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      while (state.offset < source.length && /[\w$]/.test(source[state.offset])) {
+        advance(state);
+      }
+      push("Identifier", source.substring(start.offset, state.offset), start);
+    } else if (ch === '"') {
+      advance(state);
+      let value = "";
+      while (state.offset < source.length && source[state.offset] !== '"') {
+        if (source[state.offset] === "\n") break;
+        const escaped = source[state.offset + 1];
+        if (source[state.offset] === "\\" && escaped && escaped !== "\n") {
+          advance(state);
+        }
+        value += advance(state);
+      }
+      if (source[state.offset] === '"') {
+        advance(state);
+      } else {
+        diagnostics.push(
+          createDiagnostic(
+            "error",
+            "unterminated-string",
+            "Unterminated string literal",
+            { start, end: position(state) },
+          ),
+        );
+      }
+      push("String", value, start);
+    } else {
+      advance(state);
+      if (ch === "(") parenDepth++;
+      if (ch === ")") parenDepth = Math.max(0, parenDepth - 1);
+      // A stray "(" must not swallow the line ends of the rest of the file
+      if (ch === "{" || ch === "}") parenDepth = 0;
+      push("Punctuator", ch, start);
+    }
+  }
+
+  const last = tokens[tokens.length - 1];
+  if (last && last.type !== "Newline") {
+    push("Newline", "\n", position(state));
+  }
+  push("EOF", "", position(state));
+
+  return { tokens, comments };
+}
+
+module.exports = { tokenize };
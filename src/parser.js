@@ -0,0 +1,696 @@
+const { tokenize } = require("./lexer.js");
+const { LiteSpecSyntaxError, createDiagnostic } = require("./diagnostics.js");
+
+/**
+ * Recursive descent parser that turns LiteSpec tokens into an AST.
+ *
+ * Node types:
+ * - Program:   { body: [Import|Model|Def|Enum|TypeAlias], comments }
+ * - Import:    { names: [{ name, loc }], source }
+ * - Enum:      { name, members: [EnumMember] }
+ * - EnumMember: { value, label } (label is null when not given)
+ * - TypeAlias: { name, aliasedType: Type|Union, attributes: [Attribute] }
+ * - Model:     { name, kind, extends: [{ name, loc }], members: [Field|Directive] }
+ * - Def:       { name, kind, extends: [{ name, loc }], members: [Field|Directive] }
+ * - Field:     { name, fieldType: Type|Union, attributes: [Attribute], members }
+ *              (members is [Field|Directive] for an inline `object { ... }` or
+ *              `array { ... }` block, otherwise null)
+ * - Type:      { name, arguments: [Type|Union|Attribute], nullable }
+ *              (a type argument may also carry `attributes`, as in
+ *              `tuple(number @minimum(0), number)`)
+ * - Union:     { variants: [Type|Attribute] } (`string | number`, `@ref(A) | @ref(B)`)
+ *
+ * A Type, or an Attribute used as a type (`@ref(Address)?`), is `nullable`
+ * when written with a trailing `?`.
+ * - Attribute: { name, args, raw, invalid } (args is the raw text inside the parens)
+ * - Directive: { name, args, raw, invalid } (a block-level @if, @can, @sort, ...);
+ *              an @if followed by `@else(...)` also holds it as `else`
+ *
+ * Fields, defs, models and enums also carry `doc` when documented with `///`
+ * comments (see attachDocComments).
+ *
+ * `invalid` marks attributes whose argument list was unterminated; the lexer
+ * has already reported them.
+ *
+ * Every node carries a `loc` of { start, end } positions with 1-based
+ * line and column numbers.
+ *
+ * Syntax errors do not stop the parse. The offending member is skipped up to
+ * the end of its line (or the next def/model at the top level), the problem
+ * is recorded as a diagnostic, and parsing resumes.
+ */
+
+/** Keywords that begin a top-level declaration */
+const TOP_LEVEL_KEYWORDS = ["import", "def", "model", "enum", "type"];
+
+/**
+ * Returns the current token without consuming it
+ * @param {object} state - The parser state
+ * @returns {object} The current token
+ */
+function peek(state) {
+  return state.tokens[state.pos];
+}
+
+/**
+ * Consumes and returns the current token
+ * @param {object} state - The parser state
+ * @returns {object} The consumed token
+ */
+function next(state) {
+  const token = state.tokens[state.pos];
+  if (token.type !== "EOF") state.pos++;
+  return token;
+}
+
+/**
+ * Checks whether the current token matches a type and optional value
+ * @param {object} state - The parser state
+ * @param {string} type - The expected token type
+ * @param {string} [value] - The expected token value
+ * @returns {boolean} True if the current token matches
+ */
+function at(state, type, value) {
+  const token = peek(state);
+  return token.type === type && (value === undefined || token.value === value);
+}
+
+/**
+ * Describes a token for use in error messages
+ * @param {object} token - The token to describe
+ * @returns {string} A human readable description
+ */
+function describe(token) {
+  if (token.type === "EOF") return "end of input";
+  if (token.type === "Newline") return "end of line";
+  return `"${token.value}"`;
+}
+
+/**
+ * Throws a syntax error positioned at a token
+ * @param {object} token - The offending token
+ * @param {string} message - The error message
+ * @param {string} [code] - The diagnostic code
+ */
+function fail(token, message, code = "unexpected-token") {
+  throw new LiteSpecSyntaxError(code, message, token.loc);
+}
+
+/**
+ * Records a caught syntax error as a diagnostic, rethrowing anything else
+ * @param {object} state - The parser state
+ * @param {Error} error - The caught error
+ */
+function report(state, error) {
+  if (!(error instanceof LiteSpecSyntaxError)) throw error;
+  state.diagnostics.push(
+    createDiagnostic("error", error.code, error.message, error.loc),
+  );
+}
+
+/**
+ * Skips the rest of a broken member: up to and including the next newline,
+ * or up to (not including) the closing brace of the block
+ * @param {object} state - The parser state
+ */
+function skipMember(state) {
+  while (!at(state, "EOF") && !at(state, "Punctuator", "}")) {
+    if (next(state).type === "Newline") break;
+  }
+}
+
+/**
+ * Skips tokens until the next top-level declaration keyword
+ * @param {object} state - The parser state
+ */
+function skipBlock(state) {
+  while (!at(state, "EOF")) {
+    const token = next(state);
+    if (token.type === "Newline" && startsBlock(state)) break;
+  }
+}
+
+/**
+ * Checks whether the current token begins a top-level declaration rather
+ * than a field that happens to be named "def", "model", etc.
+ * @param {object} state - The parser state
+ * @returns {boolean} True when a declaration keyword is at the current position
+ */
+function startsBlock(state) {
+  const token = peek(state);
+  if (token.type !== "Identifier" || !TOP_LEVEL_KEYWORDS.includes(token.value)) {
+    return false;
+  }
+  const following = state.tokens[state.pos + 1];
+  return !(following.type === "Punctuator" && following.value === ":");
+}
+
+/**
+ * Consumes a token of the given type/value or throws a syntax error
+ * @param {object} state - The parser state
+ * @param {string} type - The expected token type
+ * @param {string} [value] - The expected token value
+ * @param {string} [what] - Description of what was expected
+ * @returns {object} The consumed token
+ */
+function expect(state, type, value, what) {
+  if (!at(state, type, value)) {
+    const token = peek(state);
+    fail(token, `Expected ${what || `"${value}"`} but found ${describe(token)}`);
+  }
+  return next(state);
+}
+
+/**
+ * Skips any newline tokens at the current position
+ * @param {object} state - The parser state
+ */
+function skipNewlines(state) {
+  while (at(state, "Newline")) next(state);
+}
+
+/**
+ * Builds a location spanning two tokens or nodes
+ * @param {object} start - The first token or node
+ * @param {object} end - The last token or node
+ * @returns {object} The combined location
+ */
+function span(start, end) {
+  return { start: start.loc.start, end: end.loc.end };
+}
+
+/**
+ * Converts an attribute token into an Attribute node
+ * @param {object} token - The attribute token
+ * @param {string} [type] - The node type to create
+ * @returns {object} The Attribute (or Directive) node
+ */
+function attributeNode(token, type = "Attribute") {
+  return {
+    type,
+    name: token.name,
+    args: token.args,
+    raw: token.value,
+    loc: token.loc,
+    argsLoc: token.argsLoc,
+    invalid: Boolean(token.invalid),
+  };
+}
+
+/**
+ * Parses a field type such as `string`, `array(string)` or `array(@ref(Member))`
+ * @param {object} state - The parser state
+ * @returns {object} The Type node
+ */
+function parseType(state) {
+  const nameToken = expect(state, "Identifier", undefined, "a type name");
+  const node = {
+    type: "Type",
+    name: nameToken.value,
+    arguments: [],
+    loc: nameToken.loc,
+  };
+
+  if (at(state, "Punctuator", "(")) {
+    next(state);
+    while (!at(state, "Punctuator", ")")) {
+      const argument = parseTypeExpression(state, true);
+      if (at(state, "Attribute")) {
+        argument.attributes = [];
+        while (at(state, "Attribute")) {
+          argument.attributes.push(attributeNode(next(state)));
+        }
+      }
+      node.arguments.push(argument);
+      if (!at(state, "Punctuator", ",")) break;
+      next(state);
+    }
+    const close = expect(state, "Punctuator", ")");
+    node.loc = span(nameToken, close);
+  }
+
+  node.nullable = at(state, "Punctuator", "?");
+  if (node.nullable) node.loc = span(node, next(state));
+
+  return node;
+}
+
+/**
+ * Parses a type that may be a union of variants: `string | number` or
+ * `@ref(Person) | @ref(Company)`
+ * @param {object} state - The parser state
+ * @param {boolean} allowRef - Whether a lone `@ref(Name)` may stand on its own
+ *   (as in `array(@ref(Member))`); a nullable `@ref(Name)?` always may
+ * @returns {object} The Type, Attribute or Union node
+ */
+function parseTypeExpression(state, allowRef) {
+  const parseVariant = () => {
+    if (!at(state, "Attribute")) return parseType(state);
+    const token = peek(state);
+    if (token.name !== "ref") {
+      fail(token, `Expected a type or @ref(...) but found ${describe(token)}`);
+    }
+    const node = attributeNode(next(state));
+    node.nullable = at(state, "Punctuator", "?");
+    if (node.nullable) node.loc = span(node, next(state));
+    return node;
+  };
+
+  const first = parseVariant();
+  if (!at(state, "Punctuator", "|")) {
+    if (first.type === "Attribute" && !first.nullable && !allowRef) {
+      fail(
+        first,
+        `A @ref(...) type must be part of a union here — use "object ${first.raw}"`,
+      );
+    }
+    return first;
+  }
+
+  const variants = [first];
+  while (at(state, "Punctuator", "|")) {
+    next(state);
+    variants.push(parseVariant());
+  }
+  return {
+    type: "Union",
+    variants,
+    loc: span(first, variants[variants.length - 1]),
+  };
+}
+
+/**
+ * Consumes the end of a member line (newline, closing brace or end of input)
+ * @param {object} state - The parser state
+ */
+function endOfMember(state) {
+  if (at(state, "Newline")) {
+    next(state);
+  } else if (!at(state, "Punctuator", "}") && !at(state, "EOF")) {
+    const token = peek(state);
+    fail(token, `Unexpected ${describe(token)}`);
+  }
+}
+
+/**
+ * Parses a field declaration: `name: type @attr @attr(args)`, optionally
+ * followed by an inline `{ ... }` block for `object` and `array` fields
+ * @param {object} state - The parser state
+ * @returns {object} The Field node
+ */
+function parseField(state) {
+  const nameToken = expect(state, "Identifier", undefined, "a field name");
+  if (!at(state, "Punctuator", ":")) {
+    fail(
+      peek(state),
+      `Expected ":" after field "${nameToken.value}" but found ${describe(peek(state))}`,
+      "missing-colon",
+    );
+  }
+  next(state);
+  const fieldType = parseTypeExpression(state, false);
+  const attributes = [];
+  while (at(state, "Attribute")) {
+    attributes.push(attributeNode(next(state)));
+  }
+  let last = attributes.length ? attributes[attributes.length - 1] : fieldType;
+  let members = null;
+  if (at(state, "Punctuator", "{")) {
+    const open = peek(state);
+    const block = parseBlockBody(state, nameToken);
+    last = block.close;
+    // The block is still consumed so parsing resumes after its closing brace
+    if (
+      (fieldType.name === "object" || fieldType.name === "array") &&
+      fieldType.arguments.length === 0
+    ) {
+      members = block.members;
+    } else {
+      report(
+        state,
+        new LiteSpecSyntaxError(
+          "invalid-nested-block",
+          `Only "object" and "array" fields can have a nested block, not ${
+            fieldType.type === "Union" ? "a union" : `"${fieldType.name}"`
+          }`,
+          open.loc,
+        ),
+      );
+    }
+  }
+  const node = {
+    type: "Field",
+    name: nameToken.value,
+    fieldType,
+    attributes,
+    members,
+    loc: span(nameToken, last),
+  };
+  endOfMember(state);
+  return node;
+}
+
+/**
+ * Parses a block-level directive such as `@if(...)` or `@can(...)`
+ *
+ * An `@else(...)` on the same line as an @if, or on the line after it,
+ * belongs to that @if.
+ *
+ * @param {object} state - The parser state
+ * @returns {object} The Directive node
+ */
+function parseDirective(state) {
+  const node = attributeNode(next(state), "Directive");
+  if (node.name === "if") {
+    const resume = state.pos;
+    if (at(state, "Newline")) next(state);
+    if (at(state, "Attribute") && peek(state).name === "else") {
+      node.else = attributeNode(next(state), "Directive");
+    } else {
+      state.pos = resume;
+    }
+  }
+  endOfMember(state);
+  return node;
+}
+
+/**
+ * Parses the members between `{` and `}` of a def, model or nested field
+ *
+ * A block that is never closed is reported against its keyword and ends at
+ * the next `def`/`model` (or the end of input).
+ *
+ * @param {object} state - The parser state
+ * @param {object} keyword - The def/model keyword (or field name) token, for error reporting
+ * @returns {object} { members, close } where close is the last token of the block
+ */
+function parseBlockBody(state, keyword) {
+  const open = expect(state, "Punctuator", "{");
+  const members = [];
+  let close = open;
+
+  skipNewlines(state);
+  while (!at(state, "Punctuator", "}")) {
+    if (at(state, "EOF") || startsBlock(state)) {
+      report(
+        state,
+        new LiteSpecSyntaxError(
+          "unclosed-block",
+          `"${keyword.value}" block is missing its closing "}"`,
+          span(keyword, open),
+        ),
+      );
+      return { members, close };
+    }
+    try {
+      if (at(state, "Attribute")) {
+        members.push(parseDirective(state));
+      } else {
+        members.push(parseField(state));
+      }
+    } catch (error) {
+      report(state, error);
+      skipMember(state);
+    }
+    close = state.tokens[state.pos - 1];
+    skipNewlines(state);
+  }
+
+  close = next(state);
+  return { members, close };
+}
+
+/**
+ * Parses an optional `extends Base, Other` clause of a def or model header
+ * @param {object} state - The parser state
+ * @returns {Array} The base names with their locations
+ */
+function parseExtends(state) {
+  const bases = [];
+  if (!at(state, "Identifier", "extends")) return bases;
+  next(state);
+  for (;;) {
+    const nameToken = expect(state, "Identifier", undefined, "a def name to extend");
+    bases.push({ name: nameToken.value, loc: nameToken.loc });
+    if (!at(state, "Punctuator", ",")) break;
+    next(state);
+  }
+  return bases;
+}
+
+/**
+ * Parses a `def Name object|array [extends Base, ...] { ... }` block
+ * @param {object} state - The parser state
+ * @returns {object} The Def node
+ */
+function parseDef(state) {
+  const keyword = next(state);
+  const name = expect(state, "Identifier", undefined, "a def name").value;
+  const kindToken = expect(state, "Identifier", undefined, '"object" or "array"');
+  if (kindToken.value !== "object" && kindToken.value !== "array") {
+    fail(kindToken, `Expected "object" or "array" but found ${describe(kindToken)}`);
+  }
+  const bases = parseExtends(state);
+  skipNewlines(state);
+  const { members, close } = parseBlockBody(state, keyword);
+  return {
+    type: "Def",
+    name,
+    kind: kindToken.value,
+    extends: bases,
+    members,
+    loc: span(keyword, close),
+  };
+}
+
+/**
+ * Parses a `model Name object [extends Base, ...] { ... }` block
+ * @param {object} state - The parser state
+ * @returns {object} The Model node
+ */
+function parseModel(state) {
+  const keyword = next(state);
+  const name = expect(state, "Identifier", undefined, "a model name").value;
+  let kind = "object";
+  if (at(state, "Identifier") && !at(state, "Identifier", "extends")) {
+    const kindToken = next(state);
+    if (kindToken.value !== "object") {
+      fail(kindToken, `Expected "object" but found ${describe(kindToken)} — a model is always an object`);
+    }
+    kind = kindToken.value;
+  }
+  const bases = parseExtends(state);
+  skipNewlines(state);
+  const { members, close } = parseBlockBody(state, keyword);
+  return {
+    type: "Model",
+    name,
+    kind,
+    extends: bases,
+    members,
+    loc: span(keyword, close),
+  };
+}
+
+/**
+ * Parses an `enum Name { value "Label", other "Other" }` block
+ *
+ * Members are separated by commas and/or newlines; labels are optional.
+ *
+ * @param {object} state - The parser state
+ * @returns {object} The Enum node
+ */
+function parseEnum(state) {
+  const keyword = next(state);
+  const name = expect(state, "Identifier", undefined, "an enum name").value;
+  skipNewlines(state);
+  const open = expect(state, "Punctuator", "{");
+  const members = [];
+
+  skipNewlines(state);
+  while (!at(state, "Punctuator", "}")) {
+    if (at(state, "EOF") || startsBlock(state)) {
+      report(
+        state,
+        new LiteSpecSyntaxError(
+          "unclosed-block",
+          `"${keyword.value}" block is missing its closing "}"`,
+          span(keyword, open),
+        ),
+      );
+      return { type: "Enum", name, members, loc: span(keyword, open) };
+    }
+    try {
+      if (!at(state, "Identifier") && !at(state, "String")) {
+        const token = peek(state);
+        fail(token, `Expected an enum member but found ${describe(token)}`);
+      }
+      const valueToken = next(state);
+      let label = null;
+      let last = valueToken;
+      if (at(state, "String")) {
+        last = next(state);
+        label = last.value;
+      }
+      members.push({
+        type: "EnumMember",
+        value: valueToken.value,
+        label,
+        loc: span(valueToken, last),
+      });
+      if (at(state, "Punctuator", ",")) next(state);
+      else endOfMember(state);
+    } catch (error) {
+      report(state, error);
+      skipMember(state);
+    }
+    skipNewlines(state);
+  }
+
+  const close = next(state);
+  return { type: "Enum", name, members, loc: span(keyword, close) };
+}
+
+/**
+ * Parses a `type Name = string @attr @attr(args)` alias declaration
+ * @param {object} state - The parser state
+ * @returns {object} The TypeAlias node
+ */
+function parseTypeAlias(state) {
+  const keyword = next(state);
+  const name = expect(state, "Identifier", undefined, "a type alias name").value;
+  expect(state, "Punctuator", "=");
+  const aliasedType = parseTypeExpression(state, false);
+  const attributes = [];
+  while (at(state, "Attribute")) {
+    attributes.push(attributeNode(next(state)));
+  }
+  const last = attributes.length ? attributes[attributes.length - 1] : aliasedType;
+  const node = {
+    type: "TypeAlias",
+    name,
+    aliasedType,
+    attributes,
+    loc: span(keyword, last),
+  };
+  endOfMember(state);
+  return node;
+}
+
+/**
+ * Parses an `import { A, B } from "./file.ls"` declaration
+ * @param {object} state - The parser state
+ * @returns {object} The Import node
+ */
+function parseImport(state) {
+  const keyword = next(state);
+  expect(state, "Punctuator", "{");
+  const names = [];
+  while (!at(state, "Punctuator", "}")) {
+    const nameToken = expect(state, "Identifier", undefined, "an imported name");
+    names.push({ name: nameToken.value, loc: nameToken.loc });
+    if (!at(state, "Punctuator", ",")) break;
+    next(state);
+  }
+  expect(state, "Punctuator", "}");
+  if (names.length === 0) {
+    fail(keyword, "Import must name at least one definition", "empty-import");
+  }
+  expect(state, "Identifier", "from");
+  const source = expect(state, "String", undefined, "a quoted file path");
+  endOfMember(state);
+  return {
+    type: "Import",
+    names,
+    source: source.value,
+    loc: span(keyword, source),
+  };
+}
+
+/**
+ * Attaches `///` doc comments to the declarations they document as `doc`
+ *
+ * A declaration takes the `///` lines directly above it, or else a `///`
+ * comment that trails its first line. Several lines are joined with "\n".
+ *
+ * @param {Array} body - The Program body
+ * @param {Array} comments - Every comment from the lexer
+ */
+function attachDocComments(body, comments) {
+  const docs = new Map();
+  comments.forEach((comment) => {
+    if (comment.doc) docs.set(comment.loc.start.line, comment);
+  });
+  if (docs.size === 0) return;
+
+  const attach = (node) => {
+    const lines = [];
+    for (let line = node.loc.start.line - 1; ; line--) {
+      const comment = docs.get(line);
+      if (!comment || comment.trailing) break;
+      lines.unshift(comment.value);
+    }
+    const trailing = docs.get(node.loc.start.line);
+    if (lines.length === 0 && trailing && trailing.trailing) {
+      lines.push(trailing.value);
+    }
+    if (lines.length > 0) node.doc = lines.join("\n");
+    (node.members || []).forEach((member) => {
+      if (member.type === "Field") attach(member);
+    });
+  };
+
+  body.forEach((node) => {
+    if (["Model", "Def", "Enum"].includes(node.type)) attach(node);
+  });
+}
+
+/**
+ * Parses LiteSpec source into an AST
+ * @param {string} source - The LiteSpec source text
+ * @param {Array} [diagnostics] - Array collecting lexer and parser diagnostics
+ * @returns {object} The Program node
+ */
+function parse(source, diagnostics = []) {
+  const { tokens, comments } = tokenize(source, diagnostics);
+  const state = { tokens, pos: 0, diagnostics };
+  const body = [];
+
+  skipNewlines(state);
+  while (!at(state, "EOF")) {
+    try {
+      if (at(state, "Identifier", "import")) {
+        body.push(parseImport(state));
+      } else if (at(state, "Identifier", "def")) {
+        body.push(parseDef(state));
+      } else if (at(state, "Identifier", "model")) {
+        body.push(parseModel(state));
+      } else if (at(state, "Identifier", "enum")) {
+        body.push(parseEnum(state));
+      } else if (at(state, "Identifier", "type")) {
+        body.push(parseTypeAlias(state));
+      } else {
+        const token = peek(state);
+        fail(
+          token,
+          `Expected "import", "def", "model", "enum" or "type" but found ${describe(token)}`,
+        );
+      }
+    } catch (error) {
+      report(state, error);
+      skipBlock(state);
+    }
+    skipNewlines(state);
+  }
+
+  attachDocComments(body, comments);
+
+  return {
+    type: "Program",
+    body,
+    comments,
+    loc: span(tokens[0], tokens[tokens.length - 1]),
+  };
+}
+
+module.exports = { parse };
@@ -0,0 +1,381 @@
+/**
+ * Semantic checks that need the whole program, run after parsing and linking:
+ *
+ * - `unknown-ref`: @ref(Name) where no def or enum is called Name
+ * - `unknown-type`: a field type that is neither built in, an enum nor an alias
+ * - `duplicate-field`: a field declared twice in the same block
+ * - `contradictory-constraints`: bounds no value can satisfy, such as
+ *   `@minLength(10) @maxLength(5)` (constraints from type aliases included)
+ * - `default-not-in-enum`: a @default that its @enum or enum type rejects
+ * - `unknown-if-field` / `invalid-if-path`: an @if condition on a property
+ *   that does not exist, or a nested path through a field that is not an object
+ *   (every test of an AND/OR/NOT condition is checked)
+ * - `unknown-required-target` / `unknown-action-target`: a @required(...) or
+ *   other action inside @if or @else whose path does not exist
+ * - `unknown-assert-field`: an @assert comparison naming a missing field
+ *
+ * Paths are resolved against the flattened members of each block, so fields
+ * inherited through `extends` count.
+ */
+
+const { createDiagnostic, closestMatch } = require("./diagnostics.js");
+const { TYPE_CATEGORIES, splitArguments, typeCategory } = require("./attributes.js");
+const { resolveInheritance } = require("./inheritance.js");
+const {
+  splitIfArguments,
+  parseCondition,
+  conditionAtoms,
+  parsePath,
+} = require("./conditions.js");
+const { parseAssertion, assertionPaths } = require("./assertions.js");
+
+/** Lower/upper bound pairs that must leave room for at least one value */
+const BOUND_PAIRS = [
+  ["minLength", "maxLength", (min, max) => min > max],
+  ["minItems", "maxItems", (min, max) => min > max],
+  ["minimum", "maximum", (min, max) => min > max],
+  ["exclusiveMinimum", "maximum", (min, max) => min >= max],
+  ["minimum", "exclusiveMaximum", (min, max) => min >= max],
+  ["exclusiveMinimum", "exclusiveMaximum", (min, max) => min >= max],
+];
+
+/**
+ * Removes the quotes around a literal, if any
+ * @param {string} text - The literal as written
+ * @returns {string} The bare value
+ */
+function unquote(text) {
+  return text.trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+/**
+ * Runs the semantic checks over a linked Program
+ * @param {object} program - The linked Program node
+ * @param {Array} diagnostics - Array collecting diagnostics
+ */
+function checkSemantics(program, diagnostics) {
+  // Inheritance problems are reported by the emitter; only the merged members matter here
+  const resolved = resolveInheritance(program, []);
+  const scope = { defs: new Map(), enums: new Map(), aliases: new Map() };
+  resolved.body.forEach((node) => {
+    if (node.type === "Def") scope.defs.set(node.name.toLowerCase(), node);
+    if (node.type === "Enum") scope.enums.set(node.name.toLowerCase(), node);
+    if (node.type === "TypeAlias") scope.aliases.set(node.name.toLowerCase(), node);
+  });
+  // Names whose import failed were already reported by the import resolver
+  const imported = new Set(
+    program.body
+      .filter((node) => node.type === "Import")
+      .flatMap((node) => node.names.map((n) => n.name.toLowerCase())),
+  );
+
+  // The attributes that apply to a field: its aliases' (innermost first), then its own
+  const effectiveAttributes = (field) => {
+    const chain = [];
+    let typeNode = field.fieldType;
+    while (typeNode.type === "Type") {
+      const alias = scope.aliases.get(typeNode.name.toLowerCase());
+      if (!alias || chain.includes(alias)) break;
+      chain.unshift(alias);
+      typeNode = alias.aliasedType;
+    }
+    return [...chain.flatMap((alias) => alias.attributes), ...field.attributes].filter(
+      (attr) => !attr.invalid,
+    );
+  };
+
+  // The enum declaration a field's type names, following aliases
+  const enumOf = (typeNode, seen = []) => {
+    if (typeNode.type !== "Type") return null;
+    const name = typeNode.name.toLowerCase();
+    if (scope.enums.has(name)) return scope.enums.get(name);
+    const alias = scope.aliases.get(name);
+    if (!alias || seen.includes(alias)) return null;
+    return enumOf(alias.aliasedType, [...seen, alias]);
+  };
+
+  // The members of the object a field holds (or of its array items), when known
+  const childMembers = (field) => {
+    if (field.members) return field.members;
+    const typeNode = field.fieldType;
+    const ref =
+      field.attributes.find((attr) => attr.name === "ref") ||
+      (typeNode.type === "Attribute" && typeNode.name === "ref" ? typeNode : null) ||
+      (typeNode.arguments || []).find((arg) => arg.type === "Attribute" && arg.name === "ref");
+    const def = ref && ref.args && scope.defs.get(ref.args.trim().toLowerCase());
+    return def ? def.members : null;
+  };
+
+  // The type an alias stands for, or the type itself
+  const unalias = (typeNode, seen = []) => {
+    if (!typeNode || typeNode.type !== "Type") return typeNode;
+    const alias = scope.aliases.get(typeNode.name.toLowerCase());
+    if (!alias || seen.includes(alias)) return typeNode;
+    return unalias(alias.aliasedType, [...seen, alias]);
+  };
+
+  // The type of the items a `[]` or `[N]` step reaches, or null when unknown
+  const itemType = (typeNode, step) => {
+    const type = unalias(typeNode);
+    if (!type || type.type !== "Type") return null;
+    if (type.name === "array") return type.arguments[0] || null;
+    if (type.name === "tuple" && step !== "[]") return type.arguments[step] || null;
+    return null;
+  };
+
+  /**
+   * Follows a path such as `address.state`, `members[].driver`, `range[1]` or
+   * `grid[][0]` from a block's members
+   *
+   * A malformed path is left to the emitter, which reports it.
+   *
+   * @returns {object|null} { code, message } describing the problem, or null
+   */
+  const checkPath = (members, path) => {
+    let segments;
+    try {
+      segments = parsePath(path);
+    } catch (error) {
+      return null;
+    }
+    // The path up to segment i, with the given steps of that segment
+    const render = (name, steps) =>
+      name + steps.map((step) => (step === "[]" ? "[]" : `[${step}]`)).join("");
+    const written = (i, steps) =>
+      [
+        ...segments.slice(0, i).map((segment) => render(segment.name, segment.steps)),
+        render(segments[i].name, steps),
+      ].join(".");
+    const notA = (i, steps, category, expected) => ({
+      code: "invalid",
+      message: `"${path}" goes through "${written(i, steps)}", which is ${
+        category === "array" || category === "object" ? "an" : "a"
+      } ${category} field, not ${expected === "array" ? "an array" : "an object"}`,
+    });
+
+    let current = members;
+    for (let i = 0; i < segments.length; i++) {
+      const { name, steps } = segments[i];
+      const field = current.find((member) => member.type === "Field" && member.name === name);
+      if (!field) {
+        const known = current.filter((m) => m.type === "Field").map((m) => m.name);
+        const suggestion = closestMatch(name, known);
+        return {
+          code: "unknown",
+          message: `"${written(i, [])}" does not exist${
+            suggestion ? ` — did you mean "${suggestion}"?` : ""
+          }`,
+        };
+      }
+
+      // Each step must enter an array; null stands for a type that cannot be followed
+      let typeNode = field.fieldType;
+      for (let s = 0; s < steps.length && typeNode; s++) {
+        const category = typeCategory(typeNode, scope);
+        if (category !== null && category !== "array") {
+          return notA(i, steps.slice(0, s), category, "array");
+        }
+        typeNode = itemType(typeNode, steps[s]);
+      }
+      if (i === segments.length - 1) return null;
+
+      const category = typeNode && typeCategory(typeNode, scope);
+      if (category && category !== "object") return notA(i, steps, category, "object");
+      const ref = unalias(typeNode);
+      if (ref && ref.type === "Attribute" && ref.name === "ref") {
+        const def = ref.args && scope.defs.get(ref.args.trim().toLowerCase());
+        current = def ? def.members : null;
+      } else {
+        current = steps.length <= 1 ? childMembers(field) : null;
+      }
+      // A free-form object, map or tuple item cannot be followed any further
+      if (!current) return null;
+    }
+    return null;
+  };
+
+  const visit = (node, index, report) => {
+    const checkType = (typeNode) => {
+      if (typeNode.type === "Union") {
+        typeNode.variants.forEach(checkType);
+        return;
+      }
+      if (typeNode.type === "Attribute") {
+        checkRef(typeNode);
+        return;
+      }
+      const name = typeNode.name.toLowerCase();
+      if (
+        !TYPE_CATEGORIES[typeNode.name] &&
+        !scope.enums.has(name) &&
+        !scope.aliases.has(name) &&
+        !imported.has(name)
+      ) {
+        const known = [
+          ...Object.keys(TYPE_CATEGORIES),
+          ...[...scope.enums.values(), ...scope.aliases.values()].map((n) => n.name),
+        ];
+        const suggestion = closestMatch(typeNode.name, known);
+        const hint = scope.defs.has(name)
+          ? ` — use object @ref(${typeNode.name}) to refer to a def`
+          : suggestion
+            ? ` — did you mean "${suggestion}"?`
+            : "";
+        report("unknown-type", `Unknown type "${typeNode.name}"${hint}`, typeNode.loc);
+      }
+      typeNode.arguments.forEach(checkType);
+    };
+
+    const checkRef = (attr) => {
+      if (attr.invalid || !attr.args) return;
+      const name = attr.args.trim();
+      const key = name.toLowerCase();
+      if (scope.defs.has(key) || scope.enums.has(key) || imported.has(key)) return;
+      const known = [...scope.defs.values(), ...scope.enums.values()].map((n) => n.name);
+      const suggestion = closestMatch(name, known);
+      report(
+        "unknown-ref",
+        `@ref(${name}) refers to an unknown def "${name}"${
+          suggestion ? ` — did you mean "${suggestion}"?` : ""
+        }`,
+        attr.loc,
+      );
+    };
+
+    const checkField = (field) => {
+      checkType(field.fieldType);
+      field.attributes.filter((attr) => attr.name === "ref").forEach(checkRef);
+
+      const attrs = effectiveAttributes(field);
+      const last = (name) => [...attrs].reverse().find((attr) => attr.name === name);
+
+      BOUND_PAIRS.forEach(([lower, upper, contradicts]) => {
+        const min = last(lower);
+        const max = last(upper);
+        if (min && max && contradicts(Number(min.args), Number(max.args))) {
+          report(
+            "contradictory-constraints",
+            `Field "${field.name}" has @${lower}(${min.args.trim()}) and @${upper}(${max.args.trim()}) — no value can satisfy both`,
+            max.loc,
+          );
+        }
+      });
+
+      const defaultAttr = last("default");
+      if (defaultAttr) {
+        const enumAttr = last("enum");
+        const enumNode = enumOf(field.fieldType);
+        const allowed = enumAttr
+          ? splitArguments(enumAttr.args).map(unquote)
+          : enumNode
+            ? enumNode.members.map((member) => member.value)
+            : null;
+        const value = unquote(defaultAttr.args || "");
+        if (allowed && !allowed.includes(value)) {
+          report(
+            "default-not-in-enum",
+            `@default(${value}) on field "${field.name}" is not one of ${
+              enumAttr ? "its @enum values" : `the members of enum ${enumNode.name}`
+            } (${allowed.join(", ")})`,
+            defaultAttr.loc,
+          );
+        }
+      }
+    };
+
+    // Fields and directives are checked where they are declared; paths resolve
+    // against the merged members, so inherited fields can be named
+    const checkBlock = (declared, effective) => {
+      const seen = new Set();
+      declared.forEach((member) => {
+        if (member.type !== "Field") return;
+        if (seen.has(member.name)) {
+          report(
+            "duplicate-field",
+            `Field "${member.name}" is declared more than once in this block`,
+            member.loc,
+          );
+        }
+        seen.add(member.name);
+        checkField(member);
+        if (member.members) checkBlock(member.members, member.members);
+      });
+
+      declared
+        .filter((member) => member.type === "Directive" && member.name === "if" && !member.invalid)
+        .forEach((member) => {
+          let atoms = [];
+          let action = "";
+          try {
+            const parts = splitIfArguments(member.args || "");
+            atoms = conditionAtoms(parseCondition(parts.condition));
+            action = parts.action;
+          } catch (error) {
+            // A malformed condition is reported by the emitter
+          }
+          atoms.forEach((atom) => {
+            const problem = checkPath(effective, atom.path);
+            if (problem) {
+              report(
+                problem.code === "unknown" ? "unknown-if-field" : "invalid-if-path",
+                `@if condition field ${problem.message}`,
+                member.loc,
+              );
+            }
+          });
+
+          // @required takes paths; every other action takes its path first
+          const actions = [action, member.else ? member.else.args || "" : ""].join(" ");
+          for (const [, name, args] of actions.matchAll(/@(\w+)\(([^)]*)\)/g)) {
+            const targets = name === "required" ? args.split(",") : [args.split(",")[0]];
+            targets
+              .map((target) => target.trim())
+              .filter(Boolean)
+              .forEach((target) => {
+                const problem = checkPath(effective, target);
+                if (problem) {
+                  report(
+                    name === "required" ? "unknown-required-target" : "unknown-action-target",
+                    `@${name} target ${problem.message}`,
+                    member.loc,
+                  );
+                }
+              });
+          }
+        });
+
+      declared
+        .filter((member) => member.type === "Directive" && member.name === "assert" && !member.invalid)
+        .forEach((member) => {
+          let paths = [];
+          try {
+            paths = assertionPaths(parseAssertion(member.args || ""));
+          } catch (error) {
+            // A malformed assertion is reported by the emitter
+          }
+          paths.forEach((path) => {
+            const problem = checkPath(effective, path);
+            if (problem) {
+              report("unknown-assert-field", `@assert field ${problem.message}`, member.loc);
+            }
+          });
+        });
+    };
+
+    if (node.type === "Model" || node.type === "Def") {
+      checkBlock(node.members, resolved.body[index].members);
+    }
+    if (node.type === "TypeAlias") {
+      checkType(node.aliasedType);
+    }
+  };
+
+  program.body.forEach((node, index) => {
+    visit(node, index, (code, message, loc) => {
+      const diagnostic = createDiagnostic("error", code, message, loc);
+      diagnostics.push(node.file ? { ...diagnostic, file: node.file } : diagnostic);
+    });
+  });
+}
+
+module.exports = { checkSemantics };
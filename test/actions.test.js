@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model Quote object {
+  coverage: string
+  limits: object {
+    pd: number
+  }
+  members: array {
+    relationship: string
+  }
+  @if(coverage: @const("basic"), @maximum(limits.pd, 100) @enum(members[].relationship, spouse, child))
+  @if(coverage: @const("x"), @maximum(limits.pd))
+  @if(coverage: @const("y"), @default(limits.pd, 1))
+  @if(coverage: @const("z"), @maximum(limits.bi, 1))
+}`);
+
+test("places each action on the subschema of its path", () => {
+  assert.deepEqual(schema.allOf[0].then, {
+    properties: {
+      limits: { properties: { pd: { maximum: 100 } } },
+      members: { items: { properties: { relationship: { enum: ["spouse", "child"] } } } },
+    },
+  });
+  const valid = (data) => validateDataUsingSchema(schema, { coverage: "basic", ...data }).valid;
+  assert.ok(valid({ limits: { pd: 100 }, members: [{ relationship: "child" }] }));
+  assert.ok(!valid({ limits: { pd: 101 } }));
+  assert.ok(!valid({ members: [{ relationship: "friend" }] }));
+});
+
+test("reports bad arguments, non-constraints and unknown targets", () => {
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [
+      ["invalid-if", 10],
+      ["invalid-if", 11],
+      ["unknown-action-target", 12],
+    ],
+  );
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`type Phone = string @pattern(^\\d{3}$) @trim
+type Money = decimal @minimum(0)
+type Cap = Money @maximum(10)
+type Bad = string @required
+
+model Customer object {
+  phone: Phone @required
+  alternates: array(Phone)
+  limit: Money @maximum(50000)
+  cap: Cap
+}`);
+
+test("expands aliases in place", () => {
+  const phone = { type: "string", pattern: "^\\d{3}$", "x-trim": true };
+  assert.deepEqual(schema.properties.phone, phone);
+  assert.deepEqual(schema.properties.alternates.items, phone);
+  assert.deepEqual(schema.$defs, {});
+});
+
+test("applies field attributes after the alias's own", () => {
+  assert.deepEqual(schema.properties.limit, {
+    type: "number",
+    "x-bsonType": "decimal",
+    minimum: 0,
+    maximum: 50000,
+  });
+  assert.equal(schema.properties.cap.maximum, 10);
+});
+
+test("reports field-only attributes in an alias", () => {
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["invalid-alias-attribute", 4]],
+  );
+});
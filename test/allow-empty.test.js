@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model M object {
+  owner_id: objectid @allowEmpty
+  modified_date: string @format(date-time) @allowEmpty
+  plain_date: string @format(date-time)
+  count: integer @allowEmpty
+}`);
+const valid = (data) => validateDataUsingSchema(schema, data).valid;
+
+test("lets a string-based field accept an empty string", () => {
+  assert.deepEqual(schema.properties.modified_date, {
+    anyOf: [{ type: "string", format: "date-time" }, { type: "string", enum: [""] }],
+  });
+  assert.ok(valid({ owner_id: "", modified_date: "" }));
+  assert.ok(valid({ owner_id: "5f1d7f1e2a3b4c5d6e7f8a9b" }));
+  assert.ok(!valid({ owner_id: "nope" }));
+});
+
+test("formats no longer accept an empty string on their own", () => {
+  assert.ok(!valid({ plain_date: "" }));
+});
+
+test("reports @allowEmpty on a field that is not string-based", () => {
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["invalid-attribute-type", 5]],
+  );
+});
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model Policy object {
+  start_date: date
+  end_date: date
+  coverage: object {
+    limit: number
+  }
+  deductible: number
+  @assert(end_date >= start_date, "End date must be after start date")
+  @assert(deductible <= coverage.limit)
+}`);
+const check = (data) => validateDataUsingSchema(schema, data);
+
+test("stores parsed assertions under x-assert", () => {
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema["x-assert"][0], {
+    left: { path: "end_date" },
+    operator: ">=",
+    right: { path: "start_date" },
+    message: "End date must be after start date",
+  });
+  assert.equal(schema["x-assert"][1].message, "must satisfy deductible <= coverage.limit");
+});
+
+test("compares dates and reports at the first field", () => {
+  assert.ok(check({ start_date: "2024-01-01", end_date: "2024-06-01" }).valid);
+  const { valid, errors } = check({ start_date: "2024-06-01", end_date: "2024-01-01" });
+  assert.ok(!valid);
+  assert.equal(errors[0].instancePath, "/end_date");
+  assert.equal(errors[0].message, "End date must be after start date");
+});
+
+test("compares numbers through nested paths", () => {
+  assert.ok(check({ deductible: 500, coverage: { limit: 1000 } }).valid);
+  assert.ok(!check({ deductible: 5000, coverage: { limit: 1000 } }).valid);
+});
+
+test("skips an assertion when a side is missing", () => {
+  assert.ok(check({ end_date: "2024-01-01", deductible: 5000 }).valid);
+});
+
+test("reports unknown fields and malformed comparisons", () => {
+  const { diagnostics: problems } = compile(`model M object {
+  a: number
+  @assert(nope > 1)
+  @assert(a 1)
+}`);
+  assert.deepEqual(
+    problems.map((d) => [d.code, d.line]),
+    [
+      ["unknown-assert-field", 3],
+      ["invalid-assert", 4],
+    ],
+  );
+});
@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile } = require("../src/index.js");
+
+const codes = (source) => compile(source).diagnostics.map((d) => [d.code, d.line]);
+
+test("suggests a close match for an unknown attribute", () => {
+  const { schema, diagnostics } = compile(`model M object {
+  name: string @requird
+}`);
+  assert.equal(diagnostics[0].code, "unknown-attribute");
+  assert.equal(diagnostics[0].message, 'Unknown attribute "@requird" — did you mean "@required"?');
+  assert.equal(schema.required, undefined);
+});
+
+test("reports attributes in the wrong place", () => {
+  assert.deepEqual(
+    codes(`model M object {
+  a: string @if(a: @const(x), @required(b))
+  b: string
+  @required
+}`),
+    [
+      ["misplaced-attribute", 2],
+      ["misplaced-attribute", 4],
+    ],
+  );
+});
+
+test("reports bad arguments and types, leaving the attribute out", () => {
+  const { schema, diagnostics } = compile(`model M object {
+  age: integer @minLength(3)
+  tags: array(string) @minItems(x)
+  code: string @pattern(*a)
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [
+      ["invalid-attribute-type", 2],
+      ["invalid-attribute-arguments", 3],
+      ["invalid-attribute-arguments", 4],
+    ],
+  );
+  assert.deepEqual(schema.properties.age, { type: "integer" });
+  assert.deepEqual(schema.properties.code, { type: "string" });
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  compile,
+  compileBundle,
+  getModelSchema,
+  parseDSL,
+  validateDataUsingSchema,
+} = require("../src/index.js");
+
+const source = `def Address object {
+  city: string @required
+}
+
+model Header object {
+  billing: object @ref(Address)
+}
+
+model Line object {
+  ship_to: object @ref(Address)
+  quantity: integer
+}`;
+
+test("compiles every model with shared defs", () => {
+  const { bundle, diagnostics } = compileBundle(source);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(Object.keys(bundle.models), ["Header", "Line"]);
+  assert.deepEqual(Object.keys(bundle.$defs), ["address"]);
+  assert.equal(bundle.models.Line.properties.ship_to.$ref, "#/$defs/address");
+});
+
+test("getModelSchema gives a standalone schema for one model", () => {
+  const { bundle } = compileBundle(source);
+  const schema = getModelSchema(bundle, "Line");
+  assert.equal(schema.title, "Line");
+  assert.ok(validateDataUsingSchema(schema, { ship_to: { city: "x" } }).valid);
+  assert.ok(!validateDataUsingSchema(schema, { ship_to: {} }).valid);
+});
+
+test("single-model helpers pick a model by name or the first one", () => {
+  assert.equal(compile(source).schema.title, "Header");
+  assert.equal(compile(source, { model: "Line" }).schema.title, "Line");
+  assert.equal(parseDSL(source, "Line").title, "Line");
+});
+
+test("reports a model name that does not exist", () => {
+  const { diagnostics } = compile(source, { model: "Footer" });
+  assert.equal(diagnostics[0].code, "unknown-model");
+  assert.match(diagnostics[0].message, /available models: Header, Line/);
+});
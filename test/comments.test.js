@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, tokenize } = require("../src/index.js");
+
+test("skips line and block comments", () => {
+  const { schema, diagnostics } = compile(`// header
+model M { /* a block
+  comment */
+  a: string // trailing
+  b: string @default(https://example.com)
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(Object.keys(schema.properties), ["a", "b"]);
+  assert.equal(schema.properties.b.default, "https://example.com");
+});
+
+test("reports an unterminated block comment", () => {
+  const diagnostics = [];
+  tokenize("model M {\n /* open\n}", diagnostics);
+  assert.deepEqual(diagnostics.map((d) => d.code), ["unterminated-comment"]);
+});
+
+test("lets argument lists and type arguments span lines", () => {
+  const { schema, diagnostics } = compile(`model M {
+  m: map(string,
+    number)
+  s: string @enum(a,
+    b)
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.properties.s.enum, ["a", "b"]);
+  assert.deepEqual(schema.properties.m.additionalProperties, { type: "number" });
+});
+
+test("reads a directive whose arguments span lines", () => {
+  const { schema, diagnostics } = compile(`model M {
+  a: string
+  b: string?
+  @if(a: @const("x"), // when a is x
+    @required(b))
+  @sort(a,
+    asc)
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.allOf[0].then, { required: ["b"] });
+  assert.equal(schema.sort.length, 1);
+});
+
+test("emits doc comments and annotation attributes", () => {
+  const { schema, diagnostics } = compile(`/// A customer
+model Customer {
+  @title("Customer record")
+  /// Their email
+  email: string @email
+  nick: string /// What they go by
+  age: integer @deprecated @examples(30, 40)
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.equal(schema.title, "Customer record");
+  assert.equal(schema.description, "A customer");
+  assert.equal(schema.properties.email.description, "Their email");
+  assert.equal(schema.properties.nick.description, "What they go by");
+  assert.equal(schema.properties.age.deprecated, true);
+  assert.deepEqual(schema.properties.age.examples, [30, 40]);
+});
+
+test("a stray ( does not swallow the fields after it", () => {
+  const { schema, diagnostics } = compile(`model M object {
+  a: map(string
+  b: string @required
+  c: tuple(
+    number,
+    string
+  )
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["unexpected-token", 2]],
+  );
+  assert.deepEqual(Object.keys(schema.properties), ["b", "c"]);
+  assert.deepEqual(schema.required, ["b"]);
+});
@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, handleIfExpression, validateDataUsingSchema } = require("../src/index.js");
+
+const condition = (expression) => handleIfExpression(expression).if;
+
+test("reads condition literals", () => {
+  assert.deepEqual(condition('@if(a: @const("x"), @required(b))').properties.a, { const: "x" });
+  assert.deepEqual(condition("@if(a: @const(true), @required(b))").properties.a, { const: true });
+  assert.deepEqual(condition("@if(a: @minimum(16), @required(b))").properties.a, { minimum: 16 });
+  assert.deepEqual(condition('@if(a: @enum("male", "female"), @required(b))').properties.a, {
+    enum: ["male", "female"],
+  });
+});
+
+test("accepts a single @enum value", () => {
+  assert.deepEqual(condition("@if(code: @enum(1), @required(b))").properties.code, {
+    enum: ["1"],
+  });
+});
+
+test("keeps parentheses inside a @pattern condition", () => {
+  assert.deepEqual(condition("@if(code: @pattern(^(a|b)$), @required(b))").properties.code, {
+    pattern: "^(a|b)$",
+  });
+});
+
+test("combines tests with AND, OR and NOT", () => {
+  const rule = condition(
+    '@if(NOT (a: @const("x") OR b: @minimum(1)) AND c: @const(true), @required(d))',
+  );
+  assert.equal(rule.allOf.length, 2);
+  assert.equal(rule.allOf[0].not.anyOf.length, 2);
+  assert.deepEqual(rule.allOf[1].properties.c, { const: true });
+});
+
+test("compiles @else to else", () => {
+  const { schema, diagnostics } = compile(`model M {
+  a: string
+  b: string?
+  c: string?
+  @if(a: @const("x"), @required(b))
+  @else(@required(c))
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.allOf[0].else, { required: ["c"] });
+  const valid = (data) => validateDataUsingSchema(schema, data).valid;
+  assert.equal(valid({ a: "x", b: "1" }), true);
+  assert.equal(valid({ a: "x" }), false);
+  assert.equal(valid({ a: "y", c: "1" }), true);
+  assert.equal(valid({ a: "y" }), false);
+});
+
+test("reports an @else that does not follow an @if", () => {
+  const { diagnostics } = compile(`model M {
+  a: string
+  @else(@required(a))
+}`);
+  assert.deepEqual(diagnostics.map((d) => d.code), ["invalid-else"]);
+});
+
+test("reports malformed conditions", () => {
+  const { diagnostics } = compile(`model M {
+  a: string
+  @if(a: @const("x") OR AND, @required(a))
+}`);
+  assert.deepEqual(diagnostics.map((d) => d.code), ["invalid-if"]);
+});
+
+test("a missing tested field takes the @else branch", () => {
+  const { schema } = compile(`model M {
+  quote: object {
+    kind: string?
+  }
+  x: string?
+  y: string?
+  @if(quote.kind: @const("auto"), @required(x))
+  @else(@required(y))
+}`);
+  assert.deepEqual(schema.allOf[0].if.required, ["quote"]);
+  assert.deepEqual(schema.allOf[0].if.properties.quote.required, ["kind"]);
+  const valid = (data) => validateDataUsingSchema(schema, data).valid;
+  assert.equal(valid({ y: "1" }), true);
+  assert.equal(valid({}), false);
+  assert.equal(valid({ quote: {}, y: "1" }), true);
+  assert.equal(valid({ quote: { kind: "auto" }, x: "1" }), true);
+});
+
+test("NOT holds for a missing field", () => {
+  const { schema } = compile(`model M {
+  a: string?
+  b: string?
+  @if(NOT a: @const("x"), @required(b))
+}`);
+  assert.equal(validateDataUsingSchema(schema, {}).valid, false);
+  assert.equal(validateDataUsingSchema(schema, { b: "1" }).valid, true);
+});
+
+test("checks condition constraints against the attribute registry", () => {
+  const { schema, diagnostics } = compile(`model M {
+  a: string
+  b: string
+  @if(a: @cosnt(x), @required(b))
+  @if(a: @const, @required(b))
+  @if(a: 1, @required(b))
+  @if(a: @default(x), @required(b))
+  @if(a: @minLength(x), @required(b))
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [4, 5, 6, 7, 8].map((line) => ["invalid-if", line]),
+  );
+  assert.equal(
+    diagnostics[0].message,
+    'Unknown attribute "@cosnt" in @if condition — did you mean "@const"?',
+  );
+  assert.equal(schema.allOf, undefined);
+});
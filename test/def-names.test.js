@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile } = require("../src/index.js");
+
+const source = `def HomeAddress object {
+  street: string
+}
+
+model M object {
+  home: object @ref(homeAddress)
+}`;
+
+test("keeps the declared name in title and x-name", () => {
+  const { schema } = compile(source);
+  assert.equal(schema.$defs.homeaddress.title, "HomeAddress");
+  assert.equal(schema.$defs.homeaddress["x-name"], "HomeAddress");
+  assert.equal(schema.properties.home.$ref, "#/$defs/homeaddress");
+});
+
+test("defsKeyCase preserve keys defs by their declared name", () => {
+  const { schema, diagnostics } = compile(source, { defsKeyCase: "preserve" });
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(Object.keys(schema.$defs), ["HomeAddress"]);
+  assert.equal(schema.properties.home.$ref, "#/$defs/HomeAddress");
+});
+
+test("reports names that differ only in case and keeps the first", () => {
+  const { schema, diagnostics } = compile(`def HomeAddress object {
+  x: string
+}
+
+def homeaddress object {
+  y: string
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["def-name-collision", 5]],
+  );
+  assert.deepEqual(Object.keys(schema.$defs.homeaddress.properties), ["x"]);
+});
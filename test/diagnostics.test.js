@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, formatDiagnostic, parseDSL } = require("../src/index.js");
+
+const broken = `model M object {
+  street string
+  city: string @required
+  zip: string @minLength(
+}`;
+
+test("reports errors with their position and keeps going", () => {
+  const { schema, diagnostics } = compile(broken);
+  const [missingColon] = diagnostics;
+  assert.equal(missingColon.code, "missing-colon");
+  assert.equal(missingColon.severity, "error");
+  assert.deepEqual(
+    [missingColon.line, missingColon.column, missingColon.endLine, missingColon.endColumn],
+    [2, 10, 2, 16],
+  );
+  assert.ok(diagnostics.length >= 2);
+  assert.deepEqual(schema.required, ["city"]);
+});
+
+test("formats a diagnostic as line:column severity message (code)", () => {
+  const { diagnostics } = compile(broken);
+  assert.equal(
+    formatDiagnostic(diagnostics[0]),
+    '2:10 error Expected ":" after field "street" but found "string" (missing-colon)',
+  );
+});
+
+test("parseDSL throws the first error with every diagnostic attached", () => {
+  assert.throws(
+    () => parseDSL(broken),
+    (error) => {
+      assert.match(error.message, /Expected ":" after field "street"/);
+      assert.equal(error.diagnostics[0].code, "missing-colon");
+      assert.ok(error.diagnostics.length >= 2);
+      return true;
+    },
+  );
+});
+
+test("a clean file has no diagnostics", () => {
+  assert.deepEqual(compile("model M object {\n  a: string\n}").diagnostics, []);
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const source = `def AutoCoverage object {
+  coverage_type: string @const(auto) @required
+  vehicle_count: integer @required
+}
+
+def HomeCoverage object {
+  coverage_type: string @const(home) @required
+  dwelling_value: number @required
+}
+
+def UmbrellaCoverage object {
+  coverage_type: string @required
+  limit: number @required
+}
+
+model Policy object {
+  coverages: array(@ref(AutoCoverage) | @ref(HomeCoverage) | @ref(UmbrellaCoverage)) @discriminator(coverage_type, umbrella: UmbrellaCoverage)
+}`;
+
+test("validates each item only against the variant it names", () => {
+  const { schema, diagnostics } = compile(source);
+  assert.deepEqual(diagnostics, []);
+  const { items } = schema.properties.coverages;
+  assert.deepEqual(items.required, ["coverage_type"]);
+  assert.deepEqual(items.properties.coverage_type, { enum: ["auto", "home", "umbrella"] });
+  assert.deepEqual(items.allOf[2].then, { $ref: "#/$defs/umbrellacoverage" });
+
+  const check = (coverage) => validateDataUsingSchema(schema, { coverages: [coverage] });
+  assert.ok(check({ coverage_type: "auto", vehicle_count: 2 }).valid);
+  assert.ok(!check({ coverage_type: "boat" }).valid);
+  const { errors } = check({ coverage_type: "home" });
+  assert.ok(errors.some((e) => e.params.missingProperty === "dwelling_value"));
+  assert.ok(!errors.some((e) => e.params.missingProperty === "vehicle_count"));
+});
+
+test("keeps oneOf and adds the OpenAPI discriminator in openapi mode", () => {
+  const { items } = compile(source, { mode: "openapi" }).schema.properties.coverages;
+  assert.equal(items.oneOf.length, 3);
+  assert.deepEqual(items.discriminator, {
+    propertyName: "coverage_type",
+    mapping: {
+      auto: "#/$defs/autocoverage",
+      home: "#/$defs/homecoverage",
+      umbrella: "#/$defs/umbrellacoverage",
+    },
+  });
+});
+
+test("reports a bare @discriminator once and keeps the field", () => {
+  const { schema, diagnostics } = compile(`def A object {
+  kind: string @const(a)
+}
+
+def B object {
+  kind: string @const(b)
+}
+
+model M object {
+  item: @ref(A) | @ref(B) @discriminator
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["invalid-attribute-arguments", 10]],
+  );
+  assert.equal(schema.properties.item.anyOf.length, 2);
+});
@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`enum PolicyStatus {
+  active "Active", lapsed "Lapsed"
+  cancelled
+}
+
+model Policy object {
+  status: PolicyStatus @required @default(active)
+  history: array(PolicyStatus)
+  @if(status: @const(lapsd), @required(history))
+}`);
+
+test("compiles an enum to a shared def with labels", () => {
+  assert.deepEqual(schema.$defs.policystatus, {
+    title: "PolicyStatus",
+    "x-name": "PolicyStatus",
+    type: "string",
+    enum: ["active", "lapsed", "cancelled"],
+    "x-enumLabels": { active: "Active", lapsed: "Lapsed", cancelled: "cancelled" },
+  });
+  assert.deepEqual(schema.properties.status, { $ref: "#/$defs/policystatus", default: "active" });
+  assert.deepEqual(schema.properties.history.items, { $ref: "#/$defs/policystatus" });
+});
+
+test("reports @if values that are not members", () => {
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["unknown-enum-member", 9]],
+  );
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model M object {
+  email: string @email
+  id: string @uuid
+  host: string @hostname
+  ip: string @ipv4
+  site: string @uri
+  day: string @date
+  at: string @time
+  stamp: string @format(date-time)
+  count: integer @email
+}`);
+const valid = (data) => validateDataUsingSchema(schema, data).valid;
+
+test("compiles the shorthands to format", () => {
+  assert.deepEqual(schema.properties.email, { type: "string", format: "email" });
+  assert.deepEqual(schema.properties.id, { type: "string", format: "uuid" });
+  assert.deepEqual(schema.properties.at, { type: "string", format: "time" });
+});
+
+test("checks formats when validating", () => {
+  assert.ok(
+    valid({
+      email: "a@example.com",
+      id: "123e4567-e89b-12d3-a456-426614174000",
+      host: "example.com",
+      ip: "10.0.0.1",
+      site: "https://example.com/x",
+      day: "2024-02-29",
+      at: "12:30:00Z",
+      stamp: "2024-01-01T00:00:00Z",
+    }),
+  );
+  assert.ok(!valid({ email: "nope" }));
+  assert.ok(!valid({ id: "123" }));
+  assert.ok(!valid({ ip: "300.0.0.1" }));
+  assert.ok(!valid({ day: "2023-02-29" }));
+  assert.ok(!valid({ stamp: "yesterday" }));
+});
+
+test("reports a shorthand on a field that is not string-based", () => {
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["invalid-attribute-type", 10]],
+  );
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, createMemoryLoader } = require("../src/index.js");
+
+const loader = createMemoryLoader({
+  "common.ls": `def Member object {
+  driver: object @ref(Driver)
+}
+
+def Driver object {
+  license: string
+}
+
+def Unused object {
+  x: string
+}`,
+  "a.ls": `import { B } from "./b.ls"
+def A object {
+  x: string
+}`,
+  "b.ls": `import { A } from "./a.ls"
+def B object {
+  y: string
+}`,
+});
+
+test("imports a def together with the defs it references", () => {
+  const { schema, diagnostics } = compile(
+    `import { Member } from "./common.ls"
+model P object {
+  member: object @ref(Member)
+}`,
+    { loader },
+  );
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(Object.keys(schema.$defs).sort(), ["driver", "member"]);
+});
+
+test("reports unknown names and missing files on the import line", () => {
+  const { diagnostics } = compile(
+    `import { Nope } from "./common.ls"
+import { A } from "./missing.ls"
+model P object {
+  m: string
+}`,
+    { loader },
+  );
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [
+      ["unknown-import", 1],
+      ["import-not-found", 2],
+    ],
+  );
+});
+
+test("reports import cycles", () => {
+  const { diagnostics } = compile(
+    `import { A } from "./a.ls"
+model P object {
+  m: string
+}`,
+    { loader },
+  );
+  assert.equal(diagnostics[0].code, "import-cycle");
+  assert.match(diagnostics[0].message, /a\.ls → b\.ls → a\.ls/);
+});
@@ -0,0 +1,95 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, compileBundle } = require("../src/index.js");
+
+test("merges bases in order and lets the block override a field in place", () => {
+  const { schema, diagnostics } = compile(`def Audited object {
+  created_by: string @required
+  note: string
+  @if(note: @minLength(1), @required(created_by))
+}
+
+def SoftDeletable object {
+  is_deleted: boolean
+}
+
+model Invoice object extends Audited, SoftDeletable {
+  number: string @required
+  note: string @maxLength(3)
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(Object.keys(schema.properties), ["created_by", "note", "is_deleted", "number"]);
+  assert.deepEqual(schema.properties.note, { type: "string", maxLength: 3 });
+  assert.deepEqual(schema.required, ["created_by", "number"]);
+  assert.deepEqual(schema.allOf[0].then, { required: ["created_by"] });
+});
+
+test("reports cycles, unknown bases and changed field types", () => {
+  const { diagnostics } = compile(`def A object extends B {
+  a: string
+}
+
+def B object extends A {
+  b: string
+}
+
+def C object {
+  x: string
+}
+
+model M object extends Nope {
+  x: integer
+}
+
+model N object extends C {
+  x: integer
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [
+      ["inheritance-cycle", 5],
+      ["unknown-base", 13],
+      ["conflicting-field-type", 18],
+    ],
+  );
+});
+
+test("merges @can from several bases verb by verb", () => {
+  const { bundle, diagnostics } = compileBundle(`def Audited object {
+  a: string
+  @can(view: "admin", edit: "admin")
+}
+
+def Shared object {
+  b: string
+  @can(view: "agent admin", delete: "owner")
+}
+
+def Scoped object {
+  c: string
+  @can(view: "guest", @if(c: @const(x)))
+}
+
+model Invoice object extends Audited, Shared {
+  n: string
+}
+
+model Note object extends Audited, Shared {
+  @can(view: "me")
+}
+
+model Scoped2 object extends Audited, Scoped {
+  n: string
+}`);
+  assert.deepEqual(bundle.models.Invoice.permissions.collection, {
+    view: "admin agent",
+    edit: "admin",
+    delete: "owner",
+  });
+  assert.deepEqual(bundle.models.Note.permissions.collection, { view: "me" });
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["invalid-can", 13]],
+  );
+  assert.match(diagnostics[0].message, /^Scoped2 gets @can "view"/);
+});
@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`type StateCode = string @pattern(^[A-Z]{2}$)
+
+model RateTable object {
+  rates: map(StateCode, number @minimum(0))
+  meta: map(number)
+  headers: map(string) @keyPattern(^x-[a-z-]+$)
+  inner: object {
+    a: string
+    @open
+  }
+  @closed
+}`);
+const valid = (data) => validateDataUsingSchema(schema, data).valid;
+
+test("compiles map values and key types", () => {
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.properties.meta, {
+    type: "object",
+    additionalProperties: { type: "number" },
+  });
+  assert.deepEqual(schema.properties.rates.propertyNames, { pattern: "^[A-Z]{2}$" });
+  assert.ok(valid({ rates: { NC: 1 } }));
+  assert.ok(!valid({ rates: { nc: 1 } }));
+  assert.ok(!valid({ rates: { NC: -1 } }));
+});
+
+test("@keyPattern moves the value type into patternProperties", () => {
+  assert.deepEqual(schema.properties.headers, {
+    type: "object",
+    additionalProperties: false,
+    patternProperties: { "^x-[a-z-]+$": { type: "string" } },
+  });
+  assert.ok(valid({ headers: { "x-trace": "1" } }));
+  assert.ok(!valid({ headers: { trace: "1" } }));
+});
+
+test("@closed and @open set additionalProperties", () => {
+  assert.equal(schema.additionalProperties, false);
+  assert.equal(schema.properties.inner.additionalProperties, true);
+  assert.ok(!valid({ extra: 1 }));
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model Place object {
+  geo: object @required {
+    lat: number @required
+  }
+  contacts: array @minItems(1) {
+    kind: string
+    details: object {
+      verified: boolean
+    }
+    @if(kind: @const(email), @required(details))
+  }
+}`);
+
+test("compiles object and array blocks in place", () => {
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.properties.geo, {
+    type: "object",
+    properties: { lat: { type: "number" } },
+    required: ["lat"],
+  });
+  const { items } = schema.properties.contacts;
+  assert.equal(items.type, "object");
+  assert.deepEqual(items.properties.details.properties, { verified: { type: "boolean" } });
+  assert.equal(schema.properties.contacts.minItems, 1);
+});
+
+test("applies a block's rules to each array item", () => {
+  const valid = (contacts) => validateDataUsingSchema(schema, { geo: { lat: 1 }, contacts }).valid;
+  assert.ok(valid([{ kind: "phone" }]));
+  assert.ok(!valid([{ kind: "email" }]));
+  assert.ok(valid([{ kind: "email", details: {} }]));
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`enum Status {
+  open
+  closed
+}
+type Code = string @enum(x, y)
+model M {
+  middle_name: string?
+  g: string? @enum(x, y)
+  h: string? @const("x")
+  i: number? @const(3)
+  s: Status?
+  c: Code?
+  e: string? @enum(x, y) @allowEmpty
+  plain: string @enum(x, y)
+}`);
+const valid = (data) => validateDataUsingSchema(schema, data).valid;
+
+test("compiles without diagnostics", () => {
+  assert.deepEqual(diagnostics, []);
+});
+
+test("widens plain types to a type list", () => {
+  assert.deepEqual(schema.properties.middle_name, { type: ["string", "null"] });
+  assert.deepEqual(schema.properties.s, {
+    anyOf: [{ $ref: "#/$defs/status" }, { type: "null" }],
+  });
+});
+
+test("adds null to the enum and const of nullable fields", () => {
+  assert.deepEqual(schema.properties.g.enum, ["x", "y", null]);
+  assert.deepEqual(schema.properties.h, { type: ["string", "null"], enum: ["x", null] });
+  assert.deepEqual(schema.properties.i, { type: ["number", "null"], enum: [3, null] });
+  assert.deepEqual(schema.properties.c.enum, ["x", "y", null]);
+});
+
+test("accepts null for every nullable field", () => {
+  for (const field of ["middle_name", "g", "h", "i", "s", "c", "e"]) {
+    assert.equal(valid({ [field]: null }), true, field);
+  }
+});
+
+test("still enforces the enum and const", () => {
+  assert.equal(valid({ g: "z" }), false);
+  assert.equal(valid({ h: "y" }), false);
+  assert.equal(valid({ i: 4 }), false);
+  assert.equal(valid({ e: "" }), true);
+  assert.equal(valid({ plain: null }), false);
+});
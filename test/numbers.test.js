@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model M object {
+  amount: number @minimum(-5) @maximum(999999.99) @multipleOf(0.01)
+  ceiling: number @exclusiveMaximum(1.5e3)
+  premium: decimal @precision(5, 2)
+  broken: number @minimum(x)
+}`);
+
+test("emits numeric bounds exactly as written", () => {
+  assert.deepEqual(schema.properties.amount, {
+    type: "number",
+    minimum: -5,
+    maximum: 999999.99,
+    multipleOf: 0.01,
+  });
+  assert.equal(schema.properties.ceiling.exclusiveMaximum, 1500);
+});
+
+test("accepts decimal multiples despite floating-point division", () => {
+  const valid = (amount) => validateDataUsingSchema(schema, { amount }).valid;
+  [0.07, 0.29, 1.15, 19.99, 999999.99].forEach((amount) => assert.ok(valid(amount), `${amount}`));
+  assert.ok(!valid(19.995));
+});
+
+test("enforces @precision through x-precision", () => {
+  assert.deepEqual(schema.properties.premium, {
+    type: "number",
+    "x-bsonType": "decimal",
+    "x-precision": { precision: 5, scale: 2 },
+  });
+  const valid = (premium) => validateDataUsingSchema(schema, { premium }).valid;
+  assert.ok(valid(123.45));
+  assert.ok(!valid(1234.5));
+  assert.ok(!valid(1.234));
+});
+
+test("reports a bound that is not a number", () => {
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [["invalid-attribute-arguments", 5]],
+  );
+  assert.deepEqual(schema.properties.broken, { type: "number" });
+});
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, parseDSL } = require("../src/index.js");
+
+test("parses fields, types and attributes into a schema", () => {
+  const schema = parseDSL(`model Person {
+  name: string @required @minLength(1)
+  age: integer @minimum(0)
+  tags: array(string)
+}`);
+  assert.equal(schema.type, "object");
+  assert.deepEqual(schema.required, ["name"]);
+  assert.deepEqual(schema.properties.name, { type: "string", minLength: 1 });
+  assert.equal(schema.properties.age.minimum, 0);
+  assert.deepEqual(schema.properties.tags, { type: "array", items: { type: "string" } });
+});
+
+test("accepts an explicit object kind on a model", () => {
+  const { diagnostics } = compile(`model A object {
+  a: string
+}`);
+  assert.deepEqual(diagnostics, []);
+});
+
+test("rejects model kinds other than object", () => {
+  for (const kind of ["foo", "array"]) {
+    const { diagnostics } = compile(`model A ${kind} {
+  a: string
+}`);
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].code, "unexpected-token");
+    assert.equal(diagnostics[0].line, 1);
+    assert.equal(diagnostics[0].column, 9);
+  }
+});
+
+test("reads attribute arguments from the AST, parentheses in quotes included", () => {
+  const { schema, diagnostics } = compile(`model M object {
+  a: string @default("a)b")
+  b: string @enum("x)", "y, z", w) @default("x)")
+  c: string @pattern(^(a|b)$)
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.equal(schema.properties.a.default, "a)b");
+  assert.deepEqual(schema.properties.b.enum, ["x)", "y, z", "w"]);
+  assert.equal(schema.properties.b.default, "x)");
+  assert.equal(schema.properties.c.pattern, "^(a|b)$");
+});
@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model Quote object {
+  kind: string
+  limits: object {
+    bi: number
+  }
+  members: array {
+    drivers: array {
+      violations: array {
+        date: string
+      }
+    }
+  }
+  @if(kind: @const("auto"), @required(limits.bi, members[].drivers[].violations[].date))
+}`);
+
+test("builds nested required lists for deep paths", () => {
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.allOf[0].then, {
+    properties: {
+      limits: { required: ["bi"] },
+      members: {
+        items: {
+          properties: {
+            drivers: {
+              items: { properties: { violations: { items: { required: ["date"] } } } },
+            },
+          },
+        },
+      },
+    },
+  });
+});
+
+test("enforces a deep path on every array item", () => {
+  const record = (violation) => ({
+    kind: "auto",
+    limits: { bi: 1 },
+    members: [{ drivers: [{ violations: [{ date: "x" }, violation] }] }],
+  });
+  assert.ok(validateDataUsingSchema(schema, record({ date: "y" })).valid);
+  assert.ok(!validateDataUsingSchema(schema, record({})).valid);
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model Household object {
+  guardian_name: string
+  lienholder: string
+  multi_driver_discount: boolean
+  members: array {
+    age: integer
+    is_driver: boolean
+  }
+  vehicles: array {
+    leased: boolean
+  }
+  @if(any members[].age: @maximum(15), @required(guardian_name))
+  @if(all vehicles[].leased: @const(true), @required(lienholder))
+  @if(count(members[].is_driver: @const(true)) >= 2, @required(multi_driver_discount))
+}`);
+const valid = (data) => validateDataUsingSchema(schema, data).valid;
+
+test("compiles quantifiers to contains and items", () => {
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.allOf[0].if, {
+    properties: {
+      members: { contains: { properties: { age: { maximum: 15 } }, required: ["age"] } },
+    },
+    required: ["members"],
+  });
+  assert.equal(schema.allOf[1].if.properties.vehicles.minItems, 1);
+  assert.equal(schema.allOf[2].if.properties.members.minContains, 2);
+});
+
+test("any holds when one item passes", () => {
+  assert.ok(valid({ members: [{ age: 40 }] }));
+  assert.ok(!valid({ members: [{ age: 40 }, { age: 10 }] }));
+});
+
+test("all needs at least one item and every item to pass", () => {
+  assert.ok(valid({ vehicles: [] }));
+  assert.ok(valid({ vehicles: [{ leased: true }, { leased: false }] }));
+  assert.ok(!valid({ vehicles: [{ leased: true }] }));
+});
+
+test("count compares the number of passing items", () => {
+  const drivers = (n) => Array.from({ length: n }, () => ({ age: 30, is_driver: true }));
+  assert.ok(valid({ members: drivers(1) }));
+  assert.ok(!valid({ members: drivers(2) }));
+  assert.ok(valid({ members: drivers(2), multi_driver_discount: true }));
+});
+
+test("reports a quantifier on a path without []", () => {
+  const { diagnostics: problems } = compile(`model M object {
+  a: string
+  @if(any a: @const(x), @required(a))
+}`);
+  assert.deepEqual(
+    problems.map((d) => [d.code, d.line]),
+    [["invalid-if", 3]],
+  );
+});
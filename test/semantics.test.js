@@ -0,0 +1,88 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile } = require("../src/index.js");
+
+test("reports problems across the whole program", () => {
+  const { diagnostics } = compile(`model M object {
+  a: object @ref(Adress)
+  b: strng
+  a: string
+  c: string @minLength(10) @maxLength(5)
+  d: string @enum(x, y) @default(z)
+  @if(nope: @const(1), @required(zzz))
+  @if(c.first: @const(1), @required(a))
+  @if(c: @const(1), @maximum(limits.pd, 100))
+}
+
+def Address object {
+  x: string
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [
+      ["unknown-ref", 2],
+      ["unknown-type", 3],
+      ["duplicate-field", 4],
+      ["contradictory-constraints", 5],
+      ["default-not-in-enum", 6],
+      ["unknown-if-field", 7],
+      ["unknown-required-target", 7],
+      ["invalid-if-path", 8],
+      ["unknown-action-target", 9],
+    ],
+  );
+  assert.match(diagnostics[0].message, /did you mean "Address"\?/);
+});
+
+test("follows refs, nested blocks and inherited fields", () => {
+  const { diagnostics } = compile(`def License object {
+  state: string
+}
+
+def Base object {
+  id: string
+}
+
+model M object extends Base {
+  drivers: array {
+    license: object @ref(License)
+  }
+  @if(drivers[].license.state: @const(NC), @required(id))
+}`);
+  assert.deepEqual(diagnostics, []);
+});
+
+test("counts constraints from a type alias", () => {
+  const { diagnostics } = compile(`type Short = string @maxLength(5)
+
+model M object {
+  code: Short @minLength(10)
+}`);
+  assert.equal(diagnostics[0].code, "contradictory-constraints");
+});
+
+test("follows repeated index steps and reports each bad path once", () => {
+  const { diagnostics } = compile(`def Cell object {
+  v: number
+}
+
+model M object {
+  grid: array(array(number))
+  m: tuple(tuple(number, number), string)
+  cells: array(array(@ref(Cell)))
+  name: string
+  @if(grid[][]: @minimum(0), @required(name))
+  @if(m[0][1]: @minimum(0), @required(name))
+  @if(cells[][].v: @minimum(0), @required(cells[][].v))
+  @if(grid[][][]: @minimum(0), @required(name))
+  @if(name: @const(a), @required(grid[x]))
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => [d.code, d.line]),
+    [
+      ["invalid-if-path", 13],
+      ["invalid-if", 14],
+    ],
+  );
+  assert.match(diagnostics[0].message, /goes through "grid\[\]\[\]", which is a number field/);
+});
@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+const { schema, diagnostics } = compile(`model Trip object {
+  period: tuple(date, date)
+  location: tuple(number @minimum(-90) @maximum(90), number)
+  note: string
+  @if(location[0]: @minimum(0), @required(note))
+}`);
+const valid = (data) => validateDataUsingSchema(schema, data).valid;
+
+test("compiles tuples to prefixItems of a fixed length", () => {
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.properties.period, {
+    type: "array",
+    prefixItems: [
+      { type: "string", format: "date" },
+      { type: "string", format: "date" },
+    ],
+    items: false,
+    minItems: 2,
+  });
+  assert.ok(valid({ period: ["2024-01-01", "2024-02-01"] }));
+  assert.ok(!valid({ period: ["2024-01-01"] }));
+  assert.ok(!valid({ period: ["2024-01-01", "2024-02-01", "2024-03-01"] }));
+  assert.ok(!valid({ location: [91, 0] }));
+});
+
+test("conditions can test a tuple position", () => {
+  assert.ok(valid({ location: [-10, 0] }));
+  assert.ok(!valid({ location: [10, 0] }));
+  assert.ok(valid({ location: [10, 0], note: "north" }));
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, parseDSL, validateDataUsingSchema } = require("../src/index.js");
+
+test("compiles unions to anyOf and @exclusive unions to oneOf", () => {
+  const schema = parseDSL(`model A {
+  id: string | number
+  value: string | number @exclusive
+}`);
+  assert.deepEqual(schema.properties.id, { anyOf: [{ type: "string" }, { type: "number" }] });
+  assert.deepEqual(schema.properties.value, { oneOf: [{ type: "string" }, { type: "number" }] });
+});
+
+test("@if conditions can go through a union of defs", () => {
+  const { schema, diagnostics } = compile(`def Person object {
+  name: string
+}
+def Company object {
+  name: string
+  kind: Kind
+}
+enum Kind {
+  llc
+  corp
+}
+model A {
+  contact: @ref(Person) | @ref(Company)
+  y: string?
+  @if(contact.name: @const("x"), @required(y))
+  @if(contact.kind: @const("llc"), @required(y))
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(schema.allOf[0].if.properties.contact.properties.name.const, "x");
+});
+
+test("@if enum checks follow a union of defs", () => {
+  const { diagnostics } = compile(`def Company object {
+  kind: Kind
+}
+enum Kind {
+  llc
+  corp
+}
+model A {
+  contact: string | @ref(Company)
+  y: string?
+  @if(contact.kind: @const("partnership"), @required(y))
+}`);
+  assert.deepEqual(
+    diagnostics.map((d) => d.code),
+    ["unknown-enum-member"],
+  );
+});
+
+test("@if conditions can go through a nullable @ref", () => {
+  const { schema, diagnostics } = compile(`def Person object {
+  name: string
+}
+model A {
+  owner: @ref(Person)?
+  y: string?
+  @if(owner.name: @const("x"), @required(y))
+}`);
+  assert.deepEqual(diagnostics, []);
+  assert.equal(validateDataUsingSchema(schema, { owner: { name: "x" } }).valid, false);
+  assert.equal(validateDataUsingSchema(schema, { owner: { name: "z" } }).valid, true);
+});
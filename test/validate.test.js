@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compile, validateDataUsingSchema } = require("../src/index.js");
+
+test("validates the 2020-12 schemas the compiler emits", () => {
+  const { schema } = compile(`model M object {
+  period: tuple(date, date)
+}`);
+  assert.ok(validateDataUsingSchema(schema, { period: ["2024-01-01", "2024-02-01"] }).valid);
+  assert.ok(!validateDataUsingSchema(schema, { period: ["2024-01-01"] }).valid);
+});
+
+test("still accepts draft-07 schemas", () => {
+  const schema = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    type: "object",
+    properties: { age: { type: "integer", minimum: 0 } },
+    definitions: { name: { type: "string" } },
+  };
+  assert.ok(validateDataUsingSchema(schema, { age: 3 }).valid);
+  assert.ok(!validateDataUsingSchema(schema, { age: -1 }).valid);
+});
+
+test("reads an unmarked array of items as draft-07 positions", () => {
+  const schema = {
+    type: "array",
+    items: [{ type: "string" }, { type: "number" }],
+    additionalItems: false,
+  };
+  assert.ok(validateDataUsingSchema(schema, ["a", 1]).valid);
+  assert.ok(!validateDataUsingSchema(schema, [1, "a"]).valid);
+  assert.ok(!validateDataUsingSchema(schema, ["a", 1, 2]).valid);
+});
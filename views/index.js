@@ -66,14 +66,32 @@ export class Index {
 
     try {
       // const result = this.parseDSL(value);
-      const result = window.litespec.parseDSL(value);
-      output.value = JSON.stringify(result, null, 2);
-      generate.disabled = false;
-      generate.textContent = 'Go';
+      const { schema, diagnostics } = window.litespec.compile(value);
+      output.value = JSON.stringify(schema, null, 2);
+      this.showDiagnostics(diagnostics);
       // input.value = '';
       input.focus();
     } catch(ex) {
       console.log(ex);
+      this.showDiagnostics([{ severity: 'error', code: 'internal-error', message: ex.message, line: 1, column: 1 }]);
+    } finally {
+      generate.disabled = false;
+      generate.textContent = 'Go';
+    }
+  }
+  showDiagnostics(diagnostics) {
+    const panel = this.locator(document, '#diagnostics');
+    panel.innerHTML = '';
+    if (diagnostics.length === 0) {
+      panel.classList.add('hidden');
+      return;
+    }
+    panel.classList.remove('hidden');
+    for (const diagnostic of diagnostics) {
+      const item = document.createElement('li');
+      item.className = diagnostic.severity === 'error' ? 'text-red-500' : 'text-yellow-500';
+      item.textContent = window.litespec.formatDiagnostic(diagnostic);
+      panel.appendChild(item);
     }
   }
   handlePermExpression(expression) {